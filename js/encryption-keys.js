@@ -0,0 +1,337 @@
+/**
+ * Key Store for Encrypted Posts
+ * Remembers the keys derived from a post's password so readers are not asked
+ * again, shared by lib/hbe.js (unlocking) and js/search.js (indexing)
+ *
+ * Keys are never stored as-is: each one is wrapped with a non-extractable
+ * AES-GCM key that lives in IndexedDB, so a copy of localStorage alone cannot
+ * decrypt anything. Without IndexedDB nothing is remembered.
+ *
+ * Retention is chosen site-wide and can be overridden per post:
+ *
+ *   window.hbeConfig = { remember: 'session' };    // before this script
+ *   <div id="hexo-blog-encrypt" data-remember="none">
+ *
+ * where the value is 'none' (ask every time), 'session' (until the browser
+ * session ends) or a number of days. The default is 1 day.
+ *
+ * Posts sharing a password can declare a key group, e.g. for a tag:
+ *
+ *   <div id="hexo-blog-encrypt" data-key-group="Private">
+ *
+ * Their keys are remembered once for the whole group, so unlocking one post
+ * unlocks the rest; v2 (AES-GCM) posts in a group must share their salt.
+ * Listings mark a post's lock icon with the same attribute.
+ */
+
+(() => {
+  'use strict';
+
+  const STORAGE_PREFIX = 'hexo-blog-encrypt:#';
+  const ENTRY_VERSION = 2;
+  const DAY = 24 * 60 * 60 * 1000;
+
+  const DB_NAME = 'hexo-blog-encrypt';
+  const STORE_NAME = 'keys';
+  const WRAPPING_KEY_ID = 'wrapping-key';
+
+  const HMAC = { name: 'HMAC', hash: 'SHA-256', length: 256 };
+
+  const subtle = window.crypto && window.crypto.subtle;
+  const siteConfig = window.hbeConfig || {};
+
+  function bytesToHex(bytes) {
+    return Array.from(new Uint8Array(bytes), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function hexToBytes(hex) {
+    return new Uint8Array((hex.match(/[\da-f]{2}/gi) || []).map(h => parseInt(h, 16)));
+  }
+
+  /**
+   * Normalize a retention setting
+   * @param {string|number} value - 'none', 'session' or a number of days
+   * @returns {{mode: string, days?: number}|null} Policy, or null if unrecognized
+   */
+  function parsePolicy(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const text = String(value).trim().toLowerCase();
+    if (text === 'none' || text === 'session') return { mode: text };
+
+    const days = Number(text);
+    if (Number.isFinite(days) && days > 0) return { mode: 'days', days: days };
+    if (days === 0) return { mode: 'none' };
+    return null;
+  }
+
+  /**
+   * Resolve the retention policy for a post
+   * @param {string} [postValue] - The post's data-remember attribute
+   * @returns {{mode: string, days?: number}} Policy
+   */
+  function policyFor(postValue) {
+    return parsePolicy(postValue) || parsePolicy(siteConfig.remember) || { mode: 'days', days: 1 };
+  }
+
+  // Storage can throw when disabled, so every access goes through these
+  function getStorage(name) {
+    try {
+      return window[name] || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Storage id of a key group; pathnames always start with '/', so they can't collide
+  function groupId(group) {
+    return 'group:' + group;
+  }
+
+  // Storage ids that may hold a post's keys, most specific first
+  function candidateIds(id, group) {
+    return group ? [id, groupId(group)] : [id];
+  }
+
+  function readEntry(storage, id) {
+    if (!storage) return null;
+    try {
+      return JSON.parse(storage.getItem(STORAGE_PREFIX + id));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function findEntry(id) {
+    return readEntry(getStorage('sessionStorage'), id) || readEntry(getStorage('localStorage'), id);
+  }
+
+  function isExpired(entry) {
+    return entry.v !== ENTRY_VERSION || (entry.expires !== undefined && !(entry.expires > Date.now()));
+  }
+
+  function removeEntry(id) {
+    ['localStorage', 'sessionStorage'].forEach((name) => {
+      const storage = getStorage(name);
+      try {
+        storage && storage.removeItem(STORAGE_PREFIX + id);
+      } catch (e) {
+        // Nothing to remove
+      }
+    });
+  }
+
+  // Every storage key this module owns, across both storages
+  function storedIds() {
+    const ids = new Set();
+    ['localStorage', 'sessionStorage'].forEach((name) => {
+      const storage = getStorage(name);
+      if (!storage) return;
+      try {
+        for (let i = 0; i < storage.length; i++) {
+          const key = storage.key(i);
+          if (key && key.startsWith(STORAGE_PREFIX)) {
+            ids.add(key.substring(STORAGE_PREFIX.length));
+          }
+        }
+      } catch (e) {
+        // Storage unavailable
+      }
+    });
+    return Array.from(ids);
+  }
+
+  let dbPromise = null;
+
+  function openDatabase() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error('IndexedDB unavailable'));
+          return;
+        }
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Let a later call retry if opening failed
+      dbPromise.catch(() => {
+        dbPromise = null;
+      });
+    }
+    return dbPromise;
+  }
+
+  function idbRequest(mode, run) {
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+      const request = run(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }));
+  }
+
+  /**
+   * Get the wrapping key, creating it on first use
+   * @param {boolean} create - Whether to create a missing key
+   * @returns {Promise<CryptoKey|null>} Non-extractable AES-GCM key
+   */
+  async function getWrappingKey(create) {
+    const existing = await idbRequest('readonly', store => store.get(WRAPPING_KEY_ID));
+    if (existing || !create) return existing || null;
+
+    const key = await subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['wrapKey', 'unwrapKey']);
+    await idbRequest('readwrite', store => store.put(key, WRAPPING_KEY_ID));
+    return key;
+  }
+
+  async function wrap(key, wrappingKey) {
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const wrapped = await subtle.wrapKey('raw', key, wrappingKey, { name: 'AES-GCM', iv: iv });
+    return { key: bytesToHex(wrapped), iv: bytesToHex(iv) };
+  }
+
+  function unwrap(entry, wrappingKey, algorithm, usages) {
+    return subtle.unwrapKey('raw', hexToBytes(entry.key), wrappingKey,
+      { name: 'AES-GCM', iv: hexToBytes(entry.iv) }, algorithm, false, usages);
+  }
+
+  /**
+   * Remember a post's keys according to its retention policy
+   * @param {string} id - Post pathname
+   * @param {{alg: string, dk: CryptoKey, hmk?: CryptoKey, iv?: ArrayBuffer}} keys - Extractable
+   *   derived keys; `hmk` and `iv` only for AES-CBC (v1) payloads
+   * @param {string} [remember] - The post's own retention setting
+   * @param {string} [group] - The post's key group, to remember the keys for all its posts
+   * @returns {Promise<boolean>} Whether the keys were stored
+   */
+  async function save(id, keys, remember, group) {
+    const policy = policyFor(remember);
+    const target = group ? groupId(group) : id;
+    removeEntry(id);
+    removeEntry(target);
+    if (policy.mode === 'none' || !subtle) return false;
+
+    const storage = getStorage(policy.mode === 'session' ? 'sessionStorage' : 'localStorage');
+    if (!storage) return false;
+
+    try {
+      const wrappingKey = await getWrappingKey(true);
+      const entry = {
+        'v': ENTRY_VERSION,
+        'alg': keys.alg || 'AES-CBC',
+        'dk': await wrap(keys.dk, wrappingKey),
+      };
+      // v1 payloads also need the HMAC key and the derived IV
+      if (keys.hmk) {
+        entry.hmk = await wrap(keys.hmk, wrappingKey);
+        entry.iv = bytesToHex(keys.iv);
+      }
+      if (policy.mode === 'days') {
+        entry.expires = Date.now() + policy.days * DAY;
+      }
+      storage.setItem(STORAGE_PREFIX + target, JSON.stringify(entry));
+      return true;
+    } catch (e) {
+      console.warn('Failed to remember post keys:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Unwrap one stored entry
+   * Expired entries, and raw keys stored by older versions, are discarded
+   * @param {string} storageId - Pathname or group id
+   * @returns {Promise<object|null>} Keys, or null if nothing usable is stored
+   */
+  async function loadEntry(storageId) {
+    const entry = findEntry(storageId);
+    if (!entry) return null;
+
+    if (isExpired(entry)) {
+      removeEntry(storageId);
+      return null;
+    }
+
+    try {
+      const wrappingKey = await getWrappingKey(false);
+      if (!wrappingKey) {
+        removeEntry(storageId);
+        return null;
+      }
+      const alg = entry.alg || 'AES-CBC';
+      const keys = {
+        alg: alg,
+        dk: await unwrap(entry.dk, wrappingKey, { name: alg, length: 256 }, ['decrypt']),
+        shared: storageId.startsWith('group:'),
+      };
+      if (entry.hmk) {
+        keys.hmk = await unwrap(entry.hmk, wrappingKey, HMAC, ['verify']);
+        keys.iv = hexToBytes(entry.iv);
+      }
+      return keys;
+    } catch (e) {
+      // Wrapped with a key that has since been forgotten
+      removeEntry(storageId);
+      return null;
+    }
+  }
+
+  /**
+   * Load a post's remembered keys, its own or its group's
+   * @param {string} id - Post pathname
+   * @param {string} [group] - The post's key group
+   * @returns {Promise<{alg: string, dk: CryptoKey, hmk?: CryptoKey, iv?: Uint8Array, shared: boolean}|null>}
+   *   Non-extractable keys; `shared` is true when they came from the group
+   */
+  async function load(id, group) {
+    if (!subtle) return null;
+
+    for (const storageId of candidateIds(id, group)) {
+      const keys = await loadEntry(storageId);
+      if (keys) return keys;
+    }
+    return null;
+  }
+
+  /**
+   * Check without decrypting whether keys are remembered for a post
+   * @param {string} id - Post pathname
+   * @param {string} [group] - The post's key group
+   * @returns {boolean} True if an unexpired entry exists
+   */
+  function has(id, group) {
+    return candidateIds(id, group).some((storageId) => {
+      const entry = findEntry(storageId);
+      return Boolean(entry) && !isExpired(entry);
+    });
+  }
+
+  /**
+   * Forget one post's keys, and its group's since they would unlock it again
+   * @param {string} id - Post pathname
+   * @param {string} [group] - The post's key group
+   */
+  function forget(id, group) {
+    candidateIds(id, group).forEach(removeEntry);
+  }
+
+  /**
+   * Forget every unlocked post, and the wrapping key with them
+   * @returns {Promise<void>} Resolves once the wrapping key is deleted
+   */
+  function forgetAll() {
+    storedIds().forEach(removeEntry);
+    return idbRequest('readwrite', store => store.delete(WRAPPING_KEY_ID)).catch(() => {});
+  }
+
+  window.HbeKeyStore = {
+    policyFor: policyFor,
+    save: save,
+    load: load,
+    has: has,
+    forget: forget,
+    forgetAll: forgetAll,
+    list: storedIds,
+  };
+
+})();
@@ -1,7 +1,8 @@
 /**
  * Encryption Module for Dark Tech Theme
  * Handles password-protected article decryption
- * Works with hexo-blog-encrypt plugin
+ * Works with hexo-blog-encrypt plugin: lib/hbe.js does the cryptography and
+ * remembers derived keys, this module owns the unlock form and its feedback
  */
 
 (function($) {
@@ -11,18 +12,71 @@
   var Encryption = {
     // Configuration
     config: {
-      storagePrefix: 'hexo_blog_encrypt_',
-      sessionDuration: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
-      animationDuration: 300
+      // Prefix of plaintext passwords older versions kept in sessionStorage
+      legacyStoragePrefix: 'hexo_blog_encrypt_',
+      animationDuration: 300,
+      submitText: '解锁',
+      emptyPasswordText: '请输入密码',
+      failedText: '解密失败，请刷新页面后重试。',
+      forgetAllText: '忘记已解锁的文章',
+      forgetAllLabel: '忘记所有已解锁加密文章的密码',
+      lockedTitle: '加密文章',
+      unlockedTitle: '已解锁的加密文章',
+      // Failed attempts allowed before each retry has to wait
+      freeAttempts: 3,
+      // First wait once throttled, doubling with every further failure
+      backoffBase: 5000,
+      backoffMax: 5 * 60 * 1000,
+      attemptsPrefix: 'hexo-blog-encrypt-attempts:#',
+      attemptsText: '已尝试 {count} 次',
+      waitText: '，请等待 {seconds} 秒后重试'
     },
 
+    // Whether a decryption attempt is in flight
+    isBusy: false,
+
+    // Failed-attempt record, used when localStorage is unavailable
+    attempts: null,
+
+    // Ticks the retry countdown on the unlock button
+    countdownTimer: null,
+
     /**
      * Initialize encryption module
      */
     init: function() {
+      this.clearLegacyPasswords();
       this.bindEvents();
-      this.checkStoredPasswords();
+      this.renderForgetControl();
+
+      // Set up encrypted posts and mark listings now and in any content
+      // mounted later, such as a page swapped in by pjax.js
+      if (window.DarkTechTheme) {
+        window.DarkTechTheme.onContentMounted(this.mountEncryptedPost.bind(this));
+        window.DarkTechTheme.onContentMounted(this.markUnlockedPosts.bind(this));
+      } else {
+        this.mountEncryptedPost(document.body);
+        this.markUnlockedPosts();
+      }
+    },
+
+    /**
+     * Set up the unlock form of an encrypted post in mounted content
+     * Each container is set up once; hbe.js has already run for it
+     * @param {Element} root - Mounted content
+     */
+    mountEncryptedPost: function(root) {
+      var $container = $(root).find('#hexo-blog-encrypt').addBack('#hexo-blog-encrypt');
+      if (!$container.length || $container.data('encryptionMounted')) return;
+
+      $container.data('encryptionMounted', true);
+      // State left over from a post visited earlier
+      this.isBusy = false;
+      this.attempts = null;
+      clearTimeout(this.countdownTimer);
+
       this.enhanceEncryptionUI();
+      this.restoreUnlocked();
     },
 
     /**
@@ -31,16 +85,15 @@
     bindEvents: function() {
       var self = this;
 
-      // Handle password form submission
-      $(document).on('submit', '.hbe-form, #hexo-blog-encrypt', function(e) {
-        var $form = $(this);
-        var $input = $form.find('input[type="password"]');
-        var $button = $form.find('button, input[type="submit"]');
-        
-        // Add loading state
-        $button.addClass('is-loading').prop('disabled', true);
-        
-        // Store password on successful decryption (handled by plugin callback)
+      // Password form submission, including Enter and the unlock button
+      $(document).on('submit', '.hbe-form', function(e) {
+        e.preventDefault();
+        self.unlock($(this));
+      });
+
+      // Forget every remembered post key
+      $(document).on('click', '.footer-forget-keys', function() {
+        self.forgetAll();
       });
 
       // Handle password input focus
@@ -52,14 +105,6 @@
         $(this).closest('.hbe-container, .encrypt-container').removeClass('is-focused');
       });
 
-      // Handle Enter key in password input
-      $(document).on('keypress', '.hbe-input, .encrypt-password-input', function(e) {
-        if (e.which === 13) {
-          e.preventDefault();
-          $(this).closest('form').submit();
-        }
-      });
-
       // Clear error message on input
       $(document).on('input', '.hbe-input, .encrypt-password-input', function() {
         $(this).closest('.hbe-container, .encrypt-container')
@@ -69,160 +114,337 @@
     },
 
     /**
-     * Check for stored passwords and auto-decrypt if valid
+     * Get the decryptor exposed by lib/hbe.js on encrypted posts
+     * After client-side navigation it may belong to a post no longer shown
+     * @returns {object|null} Decryptor or null if this page has none
      */
-    checkStoredPasswords: function() {
+    getDecryptor: function() {
+      var decryptor = window.HexoBlogEncrypt;
+      return decryptor && document.body.contains(decryptor.element) ? decryptor : null;
+    },
+
+    /**
+     * Wait for hbe.js to try the keys remembered from an earlier unlock
+     */
+    restoreUnlocked: function() {
       var self = this;
-      
-      // Get current page identifier
-      var pageId = this.getPageId();
-      if (!pageId) return;
-
-      // Check if password is stored for this page
-      var storedData = this.getStoredPassword(pageId);
-      if (storedData && storedData.password) {
-        // Check if session is still valid
-        if (Date.now() - storedData.timestamp < this.config.sessionDuration) {
-          // Auto-fill password (plugin will handle decryption)
-          var $input = $('.hbe-input, .encrypt-password-input').first();
-          if ($input.length) {
-            $input.val(storedData.password);
-          }
-        } else {
-          // Session expired, remove stored password
-          this.removeStoredPassword(pageId);
+      var decryptor = this.getDecryptor();
+      if (!decryptor) return;
+
+      var $container = $(decryptor.element);
+      var $form = $container.find('.hbe-form');
+
+      this.setLoading($form, true);
+      decryptor.restored.then(function(unlocked) {
+        self.setLoading($form, false);
+        if (unlocked) {
+          self.onDecryptSuccess($container);
         }
-      }
+      });
     },
 
     /**
-     * Enhance the encryption UI with custom styling
+     * Decrypt the post with the password entered in a form
+     * @param {jQuery} $form - Unlock form
      */
-    enhanceEncryptionUI: function() {
+    unlock: function($form) {
       var self = this;
+      var decryptor = this.getDecryptor();
+      var $container = $form.closest('#hexo-blog-encrypt, .hbe-container');
+      var password = $form.find('input[type="password"]').val();
 
-      // Wait for DOM to be ready
-      setTimeout(function() {
-        // Find encryption containers
-        var $containers = $('#hexo-blog-encrypt, .hbe-container');
-        
-        $containers.each(function() {
-          var $container = $(this);
-          
-          // Skip if already enhanced
-          if ($container.hasClass('encrypt-enhanced')) return;
-          
-          $container.addClass('encrypt-enhanced');
-          
-          // Add custom wrapper if not present
-          if (!$container.find('.encrypt-wrapper').length) {
-            $container.wrapInner('<div class="encrypt-wrapper"></div>');
-          }
-
-          // Enhance input field
-          var $input = $container.find('input[type="password"]');
-          if ($input.length && !$input.hasClass('encrypt-password-input')) {
-            $input.addClass('encrypt-password-input');
-            $input.attr('placeholder', $input.attr('placeholder') || '请输入密码');
-          }
+      if (!decryptor || this.isBusy || this.getWaitTime() > 0) return;
 
-          // Enhance submit button
-          var $button = $container.find('button, input[type="submit"]');
-          if ($button.length && !$button.hasClass('encrypt-submit-btn')) {
-            $button.addClass('encrypt-submit-btn');
-            
-            // Add icon if not present
-            if (!$button.find('i').length) {
-              $button.prepend('<i class="fas fa-unlock"></i> ');
-            }
-          }
+      if (!password) {
+        this.showError($container, this.config.emptyPasswordText);
+        return;
+      }
 
-          // Add lock icon to header if not present
-          var $header = $container.find('.hbe-header, h1, h2').first();
-          if ($header.length && !$header.find('.fa-lock').length) {
-            $header.prepend('<i class="fas fa-lock encrypt-lock-icon"></i> ');
-          }
-        });
-      }, 100);
+      this.setLoading($form, true);
+      decryptor.unlock(password).then(function() {
+        self.saveAttempts(null);
+        self.setLoading($form, false);
+        self.onDecryptSuccess($container);
+      }, function(error) {
+        if (error.code === 'wrong-password') {
+          self.recordFailure();
+        }
+        self.setLoading($form, false);
+        $form.find('input[type="password"]').trigger('select');
+        if (!error.code) {
+          console.warn('Failed to decrypt post:', error);
+        }
+        // Coded errors carry the plugin's localized message
+        self.showError($container, error.code ? error.message : self.config.failedText);
+      });
     },
 
     /**
-     * Store password for a page
-     * @param {string} pageId - Page identifier
-     * @param {string} password - Password to store
+     * Toggle the loading state of an unlock form
+     * @param {jQuery} $form - Unlock form
+     * @param {boolean} loading - Whether decryption is in progress
      */
-    storePassword: function(pageId, password) {
-      if (!this.isStorageAvailable()) return;
-
-      var data = {
-        password: password,
-        timestamp: Date.now()
-      };
+    setLoading: function($form, loading) {
+      this.isBusy = loading;
+      $form.attr('aria-busy', loading ? 'true' : 'false');
+      $form.find('input[type="password"]').prop('readonly', loading);
+      $form.find('button, input[type="submit"]')
+        .toggleClass('is-loading', loading)
+        .prop('disabled', loading);
+
+      if (!loading) {
+        this.renderAttempts($form);
+      }
+    },
 
+    /**
+     * Get this post's failed-attempt record
+     * Kept in localStorage so reloading the page doesn't reset the back-off
+     * @returns {{count: number, until: number}} Failures and when the wait ends
+     */
+    getAttempts: function() {
       try {
-        sessionStorage.setItem(
-          this.config.storagePrefix + pageId,
-          JSON.stringify(data)
-        );
+        var record = JSON.parse(localStorage.getItem(this.config.attemptsPrefix + window.location.pathname));
+        if (record && record.count > 0) return record;
       } catch (e) {
-        console.warn('Failed to store password:', e);
+        // Storage unavailable - the back-off only lasts for this page
       }
+      return this.attempts || { count: 0, until: 0 };
     },
 
     /**
-     * Get stored password for a page
-     * @param {string} pageId - Page identifier
-     * @returns {object|null} Stored data or null
+     * Store this post's failed-attempt record
+     * @param {object|null} record - Record to keep, or null to reset
      */
-    getStoredPassword: function(pageId) {
-      if (!this.isStorageAvailable()) return null;
-
+    saveAttempts: function(record) {
+      var key = this.config.attemptsPrefix + window.location.pathname;
+      this.attempts = record;
       try {
-        var data = sessionStorage.getItem(this.config.storagePrefix + pageId);
-        return data ? JSON.parse(data) : null;
+        if (record) {
+          localStorage.setItem(key, JSON.stringify(record));
+        } else {
+          localStorage.removeItem(key);
+        }
       } catch (e) {
-        console.warn('Failed to retrieve password:', e);
-        return null;
+        // Keep the in-memory copy
       }
     },
 
     /**
-     * Remove stored password for a page
-     * @param {string} pageId - Page identifier
+     * Count a wrong password and start the next wait
+     * Retries are free at first, then each failure doubles the wait
      */
-    removeStoredPassword: function(pageId) {
-      if (!this.isStorageAvailable()) return;
+    recordFailure: function() {
+      var record = this.getAttempts();
+      var throttled = record.count + 1 - this.config.freeAttempts;
+      var wait = throttled > 0 ?
+        Math.min(this.config.backoffBase * Math.pow(2, throttled - 1), this.config.backoffMax) : 0;
 
-      try {
-        sessionStorage.removeItem(this.config.storagePrefix + pageId);
-      } catch (e) {
-        console.warn('Failed to remove password:', e);
+      this.saveAttempts({ count: record.count + 1, until: Date.now() + wait });
+    },
+
+    /**
+     * Get the time left before the next attempt is allowed
+     * @returns {number} Milliseconds, 0 if the reader may try now
+     */
+    getWaitTime: function() {
+      return Math.max(0, this.getAttempts().until - Date.now());
+    },
+
+    /**
+     * Show the attempt counter and hold the unlock button during a wait
+     * @param {jQuery} $form - Unlock form
+     */
+    renderAttempts: function($form) {
+      var record = this.getAttempts();
+      var wait = this.getWaitTime();
+      var seconds = Math.ceil(wait / 1000);
+      var $status = $form.find('.encrypt-attempts');
+      var $button = $form.find('button, input[type="submit"]');
+
+      clearTimeout(this.countdownTimer);
+      $button.find('.encrypt-countdown').remove();
+
+      if (!record.count) {
+        $status.remove();
+        return;
+      }
+
+      if (!$status.length) {
+        $status = $('<p class="encrypt-attempts" role="status"></p>').appendTo($form);
+      }
+
+      // Announce each failure once; the countdown itself ticks only on the button
+      if ($status.data('count') !== record.count) {
+        $status.data('count', record.count).text(
+          this.config.attemptsText.replace('{count}', record.count) +
+          (wait > 0 ? this.config.waitText.replace('{seconds}', seconds) : '')
+        );
+      } else if (wait <= 0) {
+        $status.text(this.config.attemptsText.replace('{count}', record.count));
       }
+
+      $form.toggleClass('is-throttled', wait > 0);
+      $button.prop('disabled', wait > 0);
+      if (wait <= 0) return;
+
+      $button.append($('<span class="encrypt-countdown" aria-hidden="true"></span>').text(' (' + seconds + 's)'));
+      this.countdownTimer = setTimeout(this.renderAttempts.bind(this, $form), wait % 1000 || 1000);
     },
 
     /**
-     * Get current page identifier
-     * @returns {string|null} Page ID or null
+     * Show the "forget unlocked posts" control while any keys are remembered
      */
-    getPageId: function() {
-      // Use pathname as page identifier
-      var path = window.location.pathname;
-      // Remove trailing slash and create a simple hash
-      return path.replace(/\/$/, '').replace(/\//g, '_') || 'index';
+    renderForgetControl: function() {
+      var keyStore = window.HbeKeyStore;
+      var $footer = $('.footer-powered').first();
+      var remembered = keyStore ? keyStore.list().length > 0 : false;
+
+      $footer.find('.footer-forget-item').remove();
+      if (!remembered) return;
+
+      var $button = $('<button type="button" class="footer-forget-keys"></button>')
+        .attr('aria-label', this.config.forgetAllLabel)
+        .append('<i class="fas fa-lock" aria-hidden="true"></i> ')
+        .append(document.createTextNode(this.config.forgetAllText));
+
+      $footer.append(
+        $('<span class="footer-forget-item"></span>')
+          .append('<span class="separator">|</span>')
+          .append($button)
+      );
+    },
+
+    /**
+     * Show which encrypted posts in listings this browser can already open
+     * A post counts as unlocked when its own keys or its key group's are remembered
+     * @param {Element} [root] - Element to search for lock icons, the whole page by default
+     */
+    markUnlockedPosts: function(root) {
+      var self = this;
+      var keyStore = window.HbeKeyStore;
+      var icons = '.post-encrypted-icon, .archive-encrypted-icon';
+      if (!keyStore) return;
+
+      $(root || document).find(icons).addBack(icons).each(function() {
+        var $icon = $(this);
+        var $link = $icon.closest('a[href]');
+        var pathname = window.location.pathname;
+
+        if ($link.length) {
+          try {
+            pathname = new URL($link.attr('href'), window.location.href).pathname;
+          } catch (e) {
+            return;
+          }
+        }
+
+        var unlocked = keyStore.has(pathname, $icon.attr('data-key-group'));
+        $icon
+          .toggleClass('is-unlocked fa-lock-open', unlocked)
+          .toggleClass('fa-lock', !unlocked)
+          .attr('title', unlocked ? self.config.unlockedTitle : self.config.lockedTitle);
+      });
+    },
+
+    /**
+     * Forget every unlocked post and lock the current one again
+     */
+    forgetAll: function() {
+      var self = this;
+      var keyStore = window.HbeKeyStore;
+      var decryptor = this.getDecryptor();
+      if (!keyStore) return;
+
+      keyStore.forgetAll().then(function() {
+        if (decryptor && decryptor.isUnlocked()) {
+          window.location.reload();
+          return;
+        }
+        self.renderForgetControl();
+        self.markUnlockedPosts();
+      });
+    },
+
+    /**
+     * Enhance the encryption UI with custom styling
+     */
+    enhanceEncryptionUI: function() {
+      var self = this;
+      var decryptor = this.getDecryptor();
+
+      // Remembered keys may have unlocked the post before the DOM was ready
+      if (decryptor && decryptor.isUnlocked()) return;
+
+      // Find encryption containers
+      var $containers = $('#hexo-blog-encrypt, .hbe-container');
+
+      $containers.each(function() {
+        var $container = $(this);
+
+        // Skip if already enhanced
+        if ($container.hasClass('encrypt-enhanced')) return;
+
+        $container.addClass('encrypt-enhanced');
+
+        // Add custom wrapper if not present
+        if (!$container.find('.encrypt-wrapper').length) {
+          $container.wrapInner('<div class="encrypt-wrapper"></div>');
+        }
+
+        // Enhance input field
+        var $input = $container.find('input[type="password"]');
+        if ($input.length && !$input.hasClass('encrypt-password-input')) {
+          $input.addClass('encrypt-password-input');
+          $input.attr('placeholder', $input.attr('placeholder') || '请输入密码');
+        }
+
+        // The plugin only renders a bare input; give it a form so Enter,
+        // the button and assistive tech all go through the same submit
+        if ($input.length && !$input.closest('form').length) {
+          var $content = $input.closest('.hbe-content');
+          var $form = $('<form class="hbe-form" novalidate></form>');
+          ($content.length ? $content : $input.parent()).wrapInner($form);
+        }
+
+        var $button = $container.find('.hbe-form').find('button, input[type="submit"]');
+        if (!$button.length) {
+          $button = $('<button type="submit" class="hbe-button"></button>')
+            .text(self.config.submitText);
+          $container.find('.hbe-form').append($button);
+        }
+
+        // Enhance submit button
+        if (!$button.hasClass('encrypt-submit-btn')) {
+          $button.addClass('encrypt-submit-btn');
+
+          // Add icon if not present
+          if (!$button.find('i').length) {
+            $button.prepend('<i class="fas fa-unlock"></i> ');
+          }
+        }
+
+        // Add lock icon to header if not present
+        var $header = $container.find('.hbe-header, h1, h2').first();
+        if ($header.length && !$header.find('.fa-lock').length) {
+          $header.prepend('<i class="fas fa-lock encrypt-lock-icon"></i> ');
+        }
+      });
     },
 
     /**
-     * Check if sessionStorage is available
-     * @returns {boolean} True if available
+     * Remove plaintext passwords stored by older versions of this module
      */
-    isStorageAvailable: function() {
+    clearLegacyPasswords: function() {
       try {
-        var test = '__storage_test__';
-        sessionStorage.setItem(test, test);
-        sessionStorage.removeItem(test);
-        return true;
+        for (var i = sessionStorage.length - 1; i >= 0; i--) {
+          var key = sessionStorage.key(i);
+          if (key && key.indexOf(this.config.legacyStoragePrefix) === 0) {
+            sessionStorage.removeItem(key);
+          }
+        }
       } catch (e) {
-        return false;
+        // Storage unavailable - nothing to clear
       }
     },
 
@@ -235,7 +457,7 @@
       var $error = $container.find('.hbe-error, .encrypt-error');
       
       if (!$error.length) {
-        $error = $('<div class="encrypt-error"></div>');
+        $error = $('<div class="encrypt-error" role="alert"></div>');
         $container.find('form').append($error);
       }
 
@@ -250,26 +472,15 @@
 
     /**
      * Handle successful decryption
+     * hbe.js has already replaced the form with the post and, depending on the
+     * retention policy, remembered its keys
      * @param {jQuery} $container - Container element
      */
     onDecryptSuccess: function($container) {
-      var self = this;
-      var pageId = this.getPageId();
-      var password = $container.find('input[type="password"]').val();
-
-      // Store password for session
-      if (pageId && password) {
-        this.storePassword(pageId, password);
-      }
-
-      // Add success animation
-      $container.addClass('decrypt-success');
-      
-      setTimeout(function() {
-        $container.fadeOut(self.config.animationDuration, function() {
-          $(this).remove();
-        });
-      }, 500);
+      // Drop the password-box layout now that the container holds the article
+      $container.removeClass('hbe-container encrypt-enhanced is-focused shake');
+      this.renderForgetControl();
+      this.markUnlockedPosts();
     }
   };
 
@@ -3,16 +3,97 @@
 (function($) {
   'use strict';
 
+  // ============================================
+  // Content Lifecycle
+  // ============================================
+
+  var mountHandlers = [];
+  var isDocumentMounted = false;
+
+  /**
+   * Register a feature that enhances page content
+   * The handler runs on the whole page once the DOM is ready, then on each
+   * subtree mounted later (a decrypted post, swapped-in content), so it must
+   * only touch elements under the root it is given and be safe to repeat.
+   * @param {function(Element)} handler - Receives the root element to enhance
+   */
+  function onContentMounted(handler) {
+    mountHandlers.push(handler);
+    if (isDocumentMounted) {
+      runMountHandler(handler, document.body);
+    }
+  }
+
+  /**
+   * Announce that new content was inserted into the page
+   * @param {Element} root - Root of the new content
+   */
+  function contentMounted(root) {
+    if (!root) {
+      return;
+    }
+
+    mountHandlers.forEach(function(handler) {
+      runMountHandler(handler, root);
+    });
+
+    window.dispatchEvent(new CustomEvent('dark-tech-content-mounted', {
+      detail: { root: root }
+    }));
+  }
+
+  /**
+   * Run one handler without letting a failing feature stop the others
+   * @param {function(Element)} handler - Registered handler
+   * @param {Element} root - Root element to enhance
+   */
+  function runMountHandler(handler, root) {
+    try {
+      handler(root);
+    } catch (err) {
+      console.error('Content mount handler failed:', err);
+    }
+  }
+
+  /**
+   * Space to leave above a scroll target for the sticky header
+   * Read from the scroll-padding-top style.css sets on the html element, so
+   * scripted scrolling lines up with the browser's own jumps to a #hash
+   * @returns {number} Offset in pixels
+   */
+  function headerOffset() {
+    var padding = parseFloat(window.getComputedStyle(document.documentElement).scrollPaddingTop);
+    return isNaN(padding) ? 0 : padding;
+  }
+
+  // Exposed for the other theme scripts, which load after this one
+  window.DarkTechTheme = {
+    onContentMounted: onContentMounted,
+    contentMounted: contentMounted,
+    headerOffset: headerOffset
+  };
+
+  $(document).ready(function() {
+    isDocumentMounted = true;
+    contentMounted(document.body);
+  });
+
+  // hbe.js replaces #hexo-blog-encrypt with the decrypted post
+  window.addEventListener('hexo-blog-decrypt', function() {
+    contentMounted(document.getElementById('hexo-blog-encrypt'));
+  });
+
   // ============================================
   // Code Copy Functionality
   // ============================================
   
   /**
-   * Initialize code copy buttons for all code blocks
+   * Initialize code copy buttons for code blocks
+   * @param {Element} root - Element to search for code blocks
    */
-  function initCodeCopy() {
+  function initCodeCopy(root) {
     // Find all code blocks
-    var $codeBlocks = $('figure.highlight');
+    var $codeBlocks = $(root).find('figure.highlight').addBack('figure.highlight');
     
     if ($codeBlocks.length === 0) {
       return;
@@ -191,15 +272,22 @@
     }, 2000);
   }
   
-  // Initialize code copy on document ready
-  $(document).ready(function() {
-    initCodeCopy();
-  });
+  // Add code copy buttons to all current and future content
+  onContentMounted(initCodeCopy);
 
   // Mobile menu toggle
   var $mobileMenuToggle = $('#mobile-menu-toggle');
   var $mainNav = $('#main-nav');
   
+  /**
+   * Close the mobile menu and restore page scrolling
+   */
+  function closeMobileMenu() {
+    $mobileMenuToggle.attr('aria-expanded', 'false');
+    $mainNav.removeClass('is-open');
+    $('body').css('overflow', '');
+  }
+  
   $mobileMenuToggle.on('click', function() {
     var isExpanded = $(this).attr('aria-expanded') === 'true';
     $(this).attr('aria-expanded', !isExpanded);
@@ -216,85 +304,210 @@
   // Close mobile menu when clicking on a link
   $mainNav.find('.nav-link').on('click', function() {
     if (window.innerWidth < 768) {
-      $mobileMenuToggle.attr('aria-expanded', 'false');
-      $mainNav.removeClass('is-open');
-      $('body').css('overflow', '');
+      closeMobileMenu();
     }
   });
   
   // Close mobile menu on window resize
   $(window).on('resize', function() {
     if (window.innerWidth >= 768) {
-      $mobileMenuToggle.attr('aria-expanded', 'false');
-      $mainNav.removeClass('is-open');
-      $('body').css('overflow', '');
+      closeMobileMenu();
     }
   });
 
-  // Search toggle
-  var $searchToggle = $('#search-toggle');
-  var $searchFormWrap = $('#search-form-wrap');
-  var $searchInput = $('#search-input');
-  var $searchClose = $('.search-close');
-  
-  $searchToggle.on('click', function(e) {
-    e.stopPropagation();
-    $searchFormWrap.toggleClass('is-open');
-    if ($searchFormWrap.hasClass('is-open')) {
-      $searchInput.focus();
+  // The search panel itself is owned by SearchPanel in search.js;
+  // only one of it and the mobile menu is open at a time
+  window.addEventListener('dark-tech-search-open', function() {
+    if ($mainNav.hasClass('is-open')) {
+      closeMobileMenu();
     }
   });
-  
-  $searchClose.on('click', function() {
-    $searchFormWrap.removeClass('is-open');
-    $searchInput.val('');
-    $('#search-results').empty();
-  });
-  
-  // Close search when clicking outside
-  $(document).on('click', function(e) {
-    if (!$(e.target).closest('.header-search').length) {
-      $searchFormWrap.removeClass('is-open');
+
+  // Following a link without a page load leaves the menu open otherwise
+  window.addEventListener('dark-tech-navigate', function() {
+    if ($mainNav.hasClass('is-open')) {
+      closeMobileMenu();
     }
   });
-  
-  // Prevent search form wrap clicks from closing
-  $searchFormWrap.on('click', function(e) {
-    e.stopPropagation();
+
+  // Expand and collapse archive years and months, delegated so archive
+  // pages swapped in by pjax.js work too
+  $(document).on('click', '.js-archive-toggle', function(e) {
+    e.preventDefault();
+
+    var content = document.getElementById(this.getAttribute('data-target'));
+    if (!content) {
+      return;
+    }
+
+    var isExpanded = $(content).toggleClass('is-expanded').hasClass('is-expanded');
+    $(this).find('.archive-year-icon i, .archive-month-icon i').first()
+      .toggleClass('fa-chevron-down', isExpanded)
+      .toggleClass('fa-chevron-right', !isExpanded);
   });
 
-  // Smooth scroll for anchor links
-  $('a[href^="#"]').on('click', function(e) {
-    var target = $(this.hash);
+  /**
+   * Find the element a link hash points to
+   * Heading ids are often CJK or contain selector characters, so look them
+   * up by id instead of as a selector
+   * @param {string} hash - Link hash, e.g. '#install'
+   * @returns {Element|null} Target element
+   */
+  function findHashTarget(hash) {
+    if (!hash || hash.length < 2) {
+      return null;
+    }
+    var id = hash.slice(1);
+    try {
+      id = decodeURIComponent(id);
+    } catch (err) {
+      // Not percent-encoded
+    }
+    return document.getElementById(id);
+  }
+
+  // Smooth scroll for anchor links, delegated so links in content
+  // mounted later scroll the same way
+  $(document).on('click', 'a[href^="#"]', function(e) {
+    var target = $(findHashTarget(this.hash));
     if (target.length) {
       e.preventDefault();
       $('html, body').animate({
-        scrollTop: target.offset().top - 80 // Account for sticky header
+        scrollTop: target.offset().top - headerOffset()
       }, 500);
     }
   });
   
-  // Add scroll class to header
+  // ============================================
+  // Scroll Behavior
+  // ============================================
+
   var $header = $('#header');
   var lastScrollTop = 0;
-  
-  $(window).on('scroll', function() {
-    var scrollTop = $(this).scrollTop();
-    
-    if (scrollTop > 50) {
-      $header.addClass('is-scrolled');
-    } else {
-      $header.removeClass('is-scrolled');
+  var isScrollScheduled = false;
+
+  // The header gets a shadow past 50px and hides when scrolling down past
+  // 200px; the back-to-top button shows from there, so the reader always
+  // has a way back up while the header is out of view
+  var SCROLLED_OFFSET = 50;
+  var HIDE_OFFSET = 200;
+
+  // Reading progress along the article, shown on posts only (see style.css)
+  var $readingProgress = $('<div class="reading-progress" aria-hidden="true"></div>')
+    .append('<div class="reading-progress-bar"></div>')
+    .appendTo('body');
+
+  var $backToTop = $('<button>', {
+    'class': 'back-to-top',
+    'type': 'button',
+    'aria-label': '返回顶部',
+    'title': '返回顶部'
+  }).html('<i class="fas fa-arrow-up"></i>').appendTo('body');
+
+  /**
+   * Update the reading progress bar from the position of the article body
+   */
+  function updateReadingProgress() {
+    var entry = document.querySelector('body.is-post .article-entry');
+    var progress = 0;
+
+    if (entry) {
+      var rect = entry.getBoundingClientRect();
+      var distance = rect.height - window.innerHeight;
+      // From the top of the article reaching the top of the window to its
+      // end reaching the bottom; short articles are done once fully shown
+      progress = distance > 0 ? -rect.top / distance : (rect.bottom <= window.innerHeight ? 1 : 0);
+      progress = Math.min(1, Math.max(0, progress));
     }
-    
-    // Hide/show header on scroll direction
-    if (scrollTop > lastScrollTop && scrollTop > 200) {
-      $header.addClass('is-hidden');
-    } else {
-      $header.removeClass('is-hidden');
+
+    $readingProgress.children().css('transform', 'scaleX(' + progress + ')');
+  }
+
+  /**
+   * Apply everything that depends on the scroll position, once per frame
+   */
+  function updateScroll() {
+    isScrollScheduled = false;
+    var scrollTop = $(window).scrollTop();
+
+    $header.toggleClass('is-scrolled', scrollTop > SCROLLED_OFFSET);
+
+    // Hide/show header on scroll direction; a resize alone leaves it as is
+    if (scrollTop !== lastScrollTop) {
+      $header.toggleClass('is-hidden', scrollTop > lastScrollTop && scrollTop > HIDE_OFFSET);
     }
-    
+
+    $backToTop.toggleClass('is-visible', scrollTop > HIDE_OFFSET);
+    updateReadingProgress();
+
     lastScrollTop = scrollTop;
+  }
+
+  function scheduleScrollUpdate() {
+    if (!isScrollScheduled) {
+      isScrollScheduled = true;
+      window.requestAnimationFrame(updateScroll);
+    }
+  }
+
+  $(window).on('scroll resize', scheduleScrollUpdate);
+
+  // New or decrypted content changes the article's length
+  onContentMounted(scheduleScrollUpdate);
+
+  $backToTop.on('click', function() {
+    $('html, body').animate({ scrollTop: 0 }, 500);
   });
 
+  // ============================================
+  // Reading Time
+  // ============================================
+
+  // Reading speeds: Chinese characters and English words per minute
+  var CJK_PER_MINUTE = 300;
+  var WORDS_PER_MINUTE = 200;
+
+  var CJK_PATTERN = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/g;
+  var WORD_PATTERN = /[A-Za-z0-9]+(?:['\u2019-][A-Za-z0-9]+)*/g;
+
+  /**
+   * Estimate how long a text takes to read
+   * Chinese is counted by character and everything else by word, so mixed
+   * text isn't read as a handful of very long words
+   * @param {string} text - Text to measure
+   * @returns {number} Minutes, at least 1
+   */
+  function estimateReadingTime(text) {
+    var cjk = (text.match(CJK_PATTERN) || []).length;
+    var words = (text.replace(CJK_PATTERN, ' ').match(WORD_PATTERN) || []).length;
+    return Math.max(1, Math.ceil(cjk / CJK_PER_MINUTE + words / WORDS_PER_MINUTE));
+  }
+
+  /**
+   * Show the estimated reading time in the post's meta line
+   * Runs again once an encrypted post is decrypted; a locked one shows none
+   */
+  function initReadingTime() {
+    var $meta = $('body.is-post .article-meta').first();
+    var $entry = $('body.is-post .article-entry').first();
+
+    $meta.find('.article-reading-time').remove();
+    if (!$meta.length || !$entry.length || $entry.find('.hbe-input').length) {
+      return;
+    }
+
+    // Line numbers and controls are not part of the text
+    var $text = $entry.clone();
+    $text.find('.gutter, button, script, style').remove();
+    var minutes = estimateReadingTime($text.text());
+
+    $('<span class="article-reading-time"></span>')
+      .attr('title', '预计阅读时间')
+      .append('<i class="fas fa-clock"></i> ')
+      .append(document.createTextNode('约 ' + minutes + ' 分钟'))
+      .appendTo($meta);
+  }
+
+  onContentMounted(initReadingTime);
+
 })(jQuery);
@@ -0,0 +1,469 @@
+/**
+ * Client-side Navigation for Dark Tech Theme
+ * Follows internal links without reloading the page: the target page is
+ * fetched and its #content and #sidebar replace the current ones, with the
+ * page transitions from style.css. Everything else stays loaded, including
+ * the search index and the key store.
+ *
+ * Swapped-in content is set up again through the content lifecycle in
+ * main.js. Scripts inside it only run again when marked data-pjax, as
+ * lib/hbe.js is, so page features should register with
+ * DarkTechTheme.onContentMounted rather than wait for DOMContentLoaded.
+ *
+ * Other scripts can follow navigations through a window event:
+ *   window.addEventListener('dark-tech-navigate', function(e) { e.detail.url; });
+ * Links with a data-no-pjax attribute always load the page normally.
+ */
+
+(function($) {
+  'use strict';
+
+  var Pjax = {
+    // Configuration
+    config: {
+      // Replaced on every navigation, in this order; the first one holds the page
+      regions: ['#content', '#sidebar'],
+      // Show the loading overlay when a page takes longer than this (ms)
+      overlayDelay: 1000,
+      skeletonParagraphs: 5
+    },
+
+    // Navigation in progress: { url, controller, loaded }
+    pending: null,
+
+    // Pathname of the page on screen; history entries within it belong to the page
+    currentPath: window.location.pathname,
+
+    overlayTimer: null,
+    $overlay: null,
+
+    /**
+     * Initialize client-side navigation
+     */
+    init: function() {
+      if (!this.isSupported()) return;
+
+      // Scroll positions are restored here once the content has arrived
+      if ('scrollRestoration' in window.history) {
+        window.history.scrollRestoration = 'manual';
+      }
+      this.bindEvents();
+    },
+
+    /**
+     * Check that the browser and the theme provide what navigation needs
+     * @returns {boolean} True if links can be followed without a page load
+     */
+    isSupported: function() {
+      return Boolean(window.fetch && window.DOMParser && window.history && window.history.pushState &&
+        window.DarkTechTheme);
+    },
+
+    /**
+     * Bind event handlers
+     */
+    bindEvents: function() {
+      var self = this;
+
+      // Delegated, so links in swapped-in content are followed the same way
+      $(document).on('click', 'a[href]', function(e) {
+        // Leave modified clicks and links other handlers took care of to the browser
+        if (e.isDefaultPrevented() || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+          return;
+        }
+        if (!self.isPageLink(this)) return;
+
+        e.preventDefault();
+        self.load(this.href, { push: true });
+      });
+
+      window.addEventListener('popstate', function() {
+        // Anchors and the search page's query state stay on the same page
+        if (window.location.pathname === self.currentPath) return;
+
+        var state = window.history.state;
+        self.load(window.location.href, { scrollTop: state && state.scrollTop });
+      });
+    },
+
+    /**
+     * Check whether a link points to another page of this site
+     * @param {HTMLAnchorElement} link - Link element
+     * @returns {boolean} True if the link can be loaded by this module
+     */
+    isPageLink: function(link) {
+      var location = window.location;
+
+      if (link.hasAttribute('download') || link.hasAttribute('data-no-pjax')) return false;
+      if (link.target && link.target !== '_self') return false;
+      if (link.protocol !== location.protocol || link.host !== location.host) return false;
+
+      // search.json, feeds and images are files, not pages
+      if (/\.(?!html?$)[^\/.]+$/i.test(link.pathname)) return false;
+
+      // Anchors on this page, including a bare '#', are left to the browser and main.js
+      var hashIndex = link.href.indexOf('#');
+      return !(hashIndex !== -1 && link.href.substring(0, hashIndex) === location.href.split('#')[0]);
+    },
+
+    /**
+     * Go to a URL, without a page load when it is a page of this site
+     * @param {string} url - Absolute or relative URL
+     */
+    navigate: function(url) {
+      var link = document.createElement('a');
+      link.href = url;
+
+      if (this.isSupported() && this.isPageLink(link)) {
+        this.load(link.href, { push: true });
+      } else {
+        window.location.href = url;
+      }
+    },
+
+    /**
+     * Fetch a page and swap it in
+     * @param {string} url - Absolute page URL
+     * @param {object} options - `push` to add a history entry, `scrollTop`
+     *   to restore the position a history entry was left at
+     */
+    load: function(url, options) {
+      var self = this;
+      var navigation = {
+        url: url,
+        controller: window.AbortController ? new AbortController() : null,
+        loaded: false
+      };
+
+      this.cancel();
+      this.pending = navigation;
+      if (options.push) {
+        this.saveScroll();
+      }
+
+      window.dispatchEvent(new CustomEvent('dark-tech-navigate', {
+        detail: { url: url }
+      }));
+
+      var $regions = this.getRegions();
+      $regions.first().attr('aria-busy', 'true');
+
+      var exit = this.leave($regions).then(function() {
+        // Still waiting: hold the page's place until it arrives
+        if (self.pending === navigation && !navigation.loaded) {
+          self.showSkeleton();
+        }
+      });
+
+      this.overlayTimer = setTimeout(function() {
+        self.setOverlay(true);
+      }, this.config.overlayDelay);
+
+      var request = this.fetchPage(url, navigation).then(function(page) {
+        navigation.loaded = true;
+        return page;
+      });
+
+      Promise.all([request, exit]).then(function(results) {
+        if (self.pending !== navigation) return null;
+        return self.render(results[0], options);
+      }).then(function() {
+        if (self.pending === navigation) {
+          self.finish();
+        }
+      }, function(error) {
+        // Superseded by another navigation, which also aborts the request
+        if (self.pending !== navigation) return;
+
+        // Anything unexpected falls back to a normal page load
+        console.warn('Client-side navigation failed:', error);
+        self.finish();
+        if (options.push) {
+          window.location.href = url;
+        } else {
+          window.location.replace(url);
+        }
+      });
+    },
+
+    /**
+     * Fetch and parse a page
+     * @param {string} url - Absolute page URL
+     * @param {object} navigation - The navigation the request belongs to
+     * @returns {Promise<{url: string, doc: Document}>} Final URL and parsed page
+     */
+    fetchPage: function(url, navigation) {
+      return fetch(url, {
+        credentials: 'same-origin',
+        headers: { 'Accept': 'text/html' },
+        signal: navigation.controller ? navigation.controller.signal : undefined
+      }).then(function(response) {
+        var type = response.headers.get('Content-Type') || '';
+        if (!response.ok || type.indexOf('text/html') === -1) {
+          throw new Error('Not a page: ' + url + ' (' + response.status + ')');
+        }
+
+        return response.text().then(function(html) {
+          // Redirects such as /archives to /archives/ drop the hash
+          var hash = url.indexOf('#') === -1 ? '' : url.substring(url.indexOf('#'));
+          return {
+            url: response.redirected ? response.url + hash : url,
+            doc: new DOMParser().parseFromString(html, 'text/html')
+          };
+        });
+      });
+    },
+
+    /**
+     * Replace the current page with a fetched one
+     * @param {{url: string, doc: Document}} page - Fetched page
+     * @param {object} options - Options given to load()
+     * @returns {Promise} Resolves once the new content is mounted
+     */
+    render: function(page, options) {
+      var doc = page.doc;
+      var regions = this.config.regions;
+
+      // Only pages with the same layout can be swapped in
+      var sameLayout = regions.every(function(selector) {
+        return Boolean(document.querySelector(selector)) === Boolean(doc.querySelector(selector));
+      });
+      if (!sameLayout || !doc.querySelector(regions[0])) {
+        throw new Error('Page layout differs: ' + page.url);
+      }
+
+      if (options.push) {
+        window.history.pushState({}, '', page.url);
+      }
+      this.currentPath = window.location.pathname;
+
+      document.title = doc.title;
+      document.body.className = doc.body.className;
+      this.updateNavigation(doc);
+
+      var mounted = [];
+      regions.forEach(function(selector) {
+        var current = document.querySelector(selector);
+        if (!current) return;
+
+        var next = document.importNode(doc.querySelector(selector), true);
+        current.parentNode.replaceChild(next, current);
+        mounted.push(next);
+      });
+
+      this.restoreScroll(options.scrollTop);
+      this.enter($(mounted));
+
+      return this.runScripts(mounted).then(function() {
+        mounted.forEach(function(root) {
+          window.DarkTechTheme.contentMounted(root);
+        });
+
+        // Move keyboard and screen reader focus to the new page
+        mounted[0].setAttribute('tabindex', '-1');
+        mounted[0].focus({ preventScroll: true });
+      });
+    },
+
+    /**
+     * Mark the navigation item of the new page as active
+     * @param {Document} doc - Fetched page
+     */
+    updateNavigation: function(doc) {
+      var $items = $('#main-nav .nav-item');
+      var next = doc.querySelectorAll('#main-nav .nav-item');
+      if ($items.length !== next.length) return;
+
+      $items.each(function(index) {
+        this.className = next[index].className;
+      });
+    },
+
+    /**
+     * Run the data-pjax scripts of swapped-in content, in document order
+     * Scripts parsed by DOMParser never run, so each is replaced by a copy
+     * @param {Element[]} roots - Swapped-in regions
+     * @returns {Promise} Resolves once every script has run or failed to load
+     */
+    runScripts: function(roots) {
+      var scripts = [];
+      roots.forEach(function(root) {
+        scripts.push.apply(scripts, root.querySelectorAll('script[data-pjax]'));
+      });
+
+      return scripts.reduce(function(previous, script) {
+        return previous.then(function() {
+          return new Promise(function(resolve) {
+            var copy = document.createElement('script');
+            Array.prototype.forEach.call(script.attributes, function(attribute) {
+              copy.setAttribute(attribute.name, attribute.value);
+            });
+            copy.text = script.text;
+
+            if (copy.hasAttribute('src')) {
+              copy.async = false;
+              copy.onload = copy.onerror = resolve;
+            }
+            script.parentNode.replaceChild(copy, script);
+            if (!copy.hasAttribute('src')) {
+              resolve();
+            }
+          });
+        });
+      }, Promise.resolve());
+    },
+
+    /**
+     * Get the regions currently on the page
+     * @returns {jQuery} Regions in configuration order
+     */
+    getRegions: function() {
+      return $($.map(this.config.regions, function(selector) {
+        return document.querySelector(selector);
+      }));
+    },
+
+    /**
+     * Get the page transition length, 0 when the reader prefers reduced motion
+     * @returns {number} Milliseconds
+     */
+    getTransitionDuration: function() {
+      if (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+        return 0;
+      }
+
+      var value = window.getComputedStyle(document.documentElement)
+        .getPropertyValue('--page-transition-duration').trim();
+      var duration = parseFloat(value) || 0;
+      return /ms$/.test(value) ? duration : duration * 1000;
+    },
+
+    /**
+     * Play the exit transition
+     * @param {jQuery} $regions - Regions being left
+     * @returns {Promise} Resolves when the transition is over
+     */
+    leave: function($regions) {
+      var duration = this.getTransitionDuration();
+
+      $regions.removeClass('page-transition-enter page-transition-enter-active')
+        .addClass('page-transition-exit');
+      // Apply the start state so the transition runs from it
+      $regions.each(function() {
+        return this.offsetWidth;
+      });
+      $regions.addClass('page-transition-exit-active');
+
+      return new Promise(function(resolve) {
+        setTimeout(resolve, duration);
+      });
+    },
+
+    /**
+     * Play the enter transition
+     * @param {jQuery} $regions - Swapped-in regions
+     */
+    enter: function($regions) {
+      var duration = this.getTransitionDuration();
+
+      $regions.addClass('page-transition-enter');
+      $regions.each(function() {
+        return this.offsetWidth;
+      });
+      $regions.addClass('page-transition-enter-active').removeClass('page-transition-enter');
+
+      setTimeout(function() {
+        $regions.removeClass('page-transition-enter-active');
+      }, duration);
+    },
+
+    /**
+     * Replace the faded-out page with a skeleton while the next one loads
+     */
+    showSkeleton: function() {
+      var $skeleton = $('<div aria-hidden="true"></div>')
+        .append('<div class="skeleton skeleton-title"></div>');
+      for (var i = 0; i < this.config.skeletonParagraphs; i++) {
+        $skeleton.append('<div class="skeleton skeleton-paragraph"></div>');
+      }
+
+      this.getRegions().first()
+        .removeClass('page-transition-exit page-transition-exit-active')
+        .empty()
+        .append($skeleton);
+    },
+
+    /**
+     * Show or hide the loading overlay for slow pages
+     * @param {boolean} active - Whether to show it
+     */
+    setOverlay: function(active) {
+      if (!this.$overlay) {
+        if (!active) return;
+        this.$overlay = $('<div class="loading-overlay" aria-hidden="true"></div>')
+          .append('<div class="loading-spinner"></div>')
+          .appendTo('body');
+      }
+      this.$overlay.toggleClass('is-active', active);
+    },
+
+    /**
+     * Remember where the reader was on the page being left
+     */
+    saveScroll: function() {
+      var state = $.extend({}, window.history.state, { scrollTop: window.pageYOffset });
+      window.history.replaceState(state, '');
+    },
+
+    /**
+     * Scroll the new page to its remembered position, its anchor or the top
+     * @param {number} [scrollTop] - Position to restore
+     */
+    restoreScroll: function(scrollTop) {
+      if (typeof scrollTop === 'number') {
+        window.scrollTo(0, scrollTop);
+        return;
+      }
+
+      var target = null;
+      var id = window.location.hash.slice(1);
+      if (id) {
+        try {
+          id = decodeURIComponent(id);
+        } catch (err) {
+          // Not percent-encoded
+        }
+        target = document.getElementById(id);
+      }
+      window.scrollTo(0, target ? $(target).offset().top - window.DarkTechTheme.headerOffset() : 0);
+    },
+
+    /**
+     * Abort the navigation in progress, if any
+     */
+    cancel: function() {
+      if (this.pending && this.pending.controller) {
+        this.pending.controller.abort();
+      }
+      this.finish();
+    },
+
+    /**
+     * Clear the loading state
+     */
+    finish: function() {
+      clearTimeout(this.overlayTimer);
+      this.setOverlay(false);
+      this.pending = null;
+    }
+  };
+
+  // Initialize when DOM is ready
+  $(document).ready(function() {
+    Pjax.init();
+  });
+
+  // Expose to global scope for the other theme scripts
+  window.DarkTechPjax = Pjax;
+
+})(jQuery);
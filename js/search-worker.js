@@ -0,0 +1,1442 @@
+/**
+ * Local Search Worker
+ * Fetches, indexes and queries search data off the main thread
+ *
+ * Message protocol (every message is a plain object with a `type`):
+ *   -> { type: 'init', url, options, cache }   fetch and index search data
+ *   <- { type: 'ready', count, cached }        index built or restored from cache
+ *   <- { type: 'updated', count }              background revalidation found new data
+ *   <- { type: 'error', message }              loading or indexing failed
+ *   -> { type: 'search', client, id, keyword, filters, excerpt }
+ *                                              run a query, narrowed by facet filters
+ *   <- { type: 'results', id, results, text, suggestion, facets }
+ *   -> { type: 'cancel', client, id }          drop a query that hasn't run yet
+ *   -> { type: 'unlock', url, content }        index a decrypted post body
+ *   <- { type: 'unlocked', url }               the post's body is now searchable
+ *
+ * Each result carries `highlights`: offsets of the matched words in its
+ * title and tags, and excerpt fragments chosen where matches are densest.
+ *
+ * 'ready' and 'updated' also carry `locked`: the encrypted posts whose bodies
+ * are not yet indexed, with the ciphertext the client may be able to decrypt.
+ *
+ * search.json marks a password-protected post with an `encrypted` object and
+ * lists no `content` for it (tools/hexo-search-encrypted.js does this at
+ * generation time; any content still listed is ignored):
+ *
+ *   encrypted: {
+ *     data,          hex ciphertext of the post's search text, not its page
+ *     hmacDigest,    v1: AES-CBC with the page's key and IV, prefixed with
+ *                    <hbe-prefix></hbe-prefix> like the page itself
+ *     version: 2,    v2: AES-GCM with the page's key, so the same kdf
+ *     kdf,           ("pbkdf2-sha256"), iterations and salt as the page,
+ *     iterations,    but a nonce of its own
+ *     salt,
+ *     nonce,
+ *     keyGroup       the page's data-key-group, if it has one
+ *   }
+ *
+ * Without `data` the post is still marked encrypted; its body is indexed only
+ * when the reader unlocks the post itself.
+ *
+ * Queries are coalesced per `client` (one search UI on the page): if several
+ * arrive while one is running, only the newest is answered. Ids are unique
+ * across clients, and each client ignores replies to ids it didn't send last.
+ *
+ * The processed index is cached in IndexedDB, versioned by a hash of
+ * search.json. A cached index answers immediately (and offline) while the
+ * file is revalidated in the background; a rebuilt site changes the hash
+ * and replaces the cache. Decrypted post bodies are kept in memory only and
+ * never written to the cache.
+ */
+
+(function() {
+  'use strict';
+
+  // Han, Kana and Hangul ranges - scripts written without spaces between words
+  const CJK_RANGE = '\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uf900-\\ufaff\\uac00-\\ud7af';
+  const TOKEN_PATTERN = new RegExp(`[${CJK_RANGE}]+|[^\\s\\p{P}\\p{S}${CJK_RANGE}]+`, 'gu');
+  const CJK_TEST = new RegExp(`^[${CJK_RANGE}]`);
+
+  /**
+   * Split text into index terms
+   * Latin text is split on word boundaries, CJK runs into overlapping bigrams
+   * @param {string} text - Text to tokenize
+   * @returns {string[]} Lowercased terms in order of appearance
+   */
+  function tokenize(text) {
+    const terms = [];
+    if (!text) return terms;
+
+    const matches = String(text).toLowerCase().match(TOKEN_PATTERN) || [];
+    for (const run of matches) {
+      if (!CJK_TEST.test(run) || run.length === 1) {
+        terms.push(run);
+        continue;
+      }
+      for (let i = 0; i < run.length - 1; i++) {
+        terms.push(run.substring(i, i + 2));
+      }
+    }
+    return terms;
+  }
+
+  /**
+   * Reduce an English word to a rough stem so inflections match each other
+   * Deliberately light: "containers" and "container", "running" and "run",
+   * "cached" and "cache" share a stem. Non-Latin and short terms are unchanged.
+   * @param {string} term - Lowercased index term
+   * @returns {string} Stem
+   */
+  function stem(term) {
+    if (term.length < 4 || !/^[a-z]+$/.test(term)) return term;
+
+    let base = term;
+    if (/ies$/.test(base)) {
+      base = base.slice(0, -3) + 'y';
+    } else if (/(?:ing|ed)$/.test(base)) {
+      base = base.replace(/(?:ing|ed)$/, '');
+      // running -> run, stopped -> stop
+      if (/([b-df-hj-np-tv-z])\1$/.test(base) && !/(?:ll|ss|zz)$/.test(base)) {
+        base = base.slice(0, -1);
+      }
+    } else if (/(?:ches|shes|sses|xes|zes)$/.test(base)) {
+      base = base.slice(0, -2);
+    } else if (/s$/.test(base) && !/(?:ss|us|is)$/.test(base)) {
+      base = base.slice(0, -1);
+    }
+
+    // cache, cached and caches all reduce to "cach"
+    if (base.length > 3 && base.endsWith('e')) {
+      base = base.slice(0, -1);
+    }
+    return base.length < 3 ? term : base;
+  }
+
+  // Inflections, prefix completions and typo corrections score below whole-word matches
+  const STEM_MATCH_WEIGHT = 0.8;
+  const PREFIX_MATCH_WEIGHT = 0.7;
+  const FUZZY_MATCH_WEIGHT = 0.4;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Field filter aliases accepted in queries, mapped to post fields
+  const QUERY_FIELDS = {
+    tag: 'tags',
+    tags: 'tags',
+    category: 'categories',
+    categories: 'categories',
+    title: 'title',
+    code: 'code'
+  };
+  const QUERY_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"|(\S+))/gi;
+
+  /**
+   * Parse a query with operators into its parts
+   * Supports "quoted phrases", -exclusion and tag:, category:, title: and code: filters.
+   * Anything that doesn't parse as an operator is kept as a plain term.
+   * @param {string} input - Raw query string
+   * @returns {object} { terms, phrases, excludes, filters, text }
+   */
+  function parseQuery(input) {
+    const query = { terms: [], phrases: [], excludes: [], filters: [] };
+    let match;
+
+    QUERY_PATTERN.lastIndex = 0;
+    while ((match = QUERY_PATTERN.exec(input)) !== null) {
+      const [raw, minus, name, quoted, bare] = match;
+      const negate = minus === '-';
+      const value = (quoted !== undefined ? quoted : bare).trim();
+
+      if (name && !QUERY_FIELDS[name.toLowerCase()]) {
+        // Unknown prefix such as "http:" - treat the whole token as text
+        // and keep a leading minus as an exclusion
+        if (negate) {
+          query.excludes.push(raw.slice(1));
+        } else {
+          query.terms.push(raw);
+        }
+      } else if (!value || !tokenize(value).length) {
+        continue;
+      } else if (name) {
+        query.filters.push({ field: QUERY_FIELDS[name.toLowerCase()], value, negate });
+      } else if (negate) {
+        query.excludes.push(value);
+      } else if (quoted !== undefined) {
+        query.phrases.push(value);
+      } else {
+        query.terms.push(value);
+      }
+    }
+
+    // Free text drives ranking; phrases contribute their words too
+    query.text = query.terms.concat(query.phrases).join(' ');
+    return query;
+  }
+
+  /**
+   * Normalize a tag or category name for comparison
+   * "Web Development", "web-development" and "WEB development" are equal
+   * @param {string} name - Tag or category name
+   * @returns {string} Normalized name
+   */
+  function normalizeName(name) {
+    return String(name).trim().toLowerCase().replace(/[\s-]+/g, '-');
+  }
+
+  /**
+   * Number of typos tolerated in a term, scaled by its length
+   * CJK bigrams are too short to correct meaningfully
+   * @param {string} term - Query term
+   * @returns {number} Maximum edit distance
+   */
+  function maxEditDistance(term) {
+    if (CJK_TEST.test(term) || term.length < 4) return 0;
+    return term.length < 8 ? 1 : 2;
+  }
+
+  /**
+   * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+   * Gives up early once every alignment exceeds max
+   * @param {string} a - First term
+   * @param {string} b - Second term
+   * @param {number} max - Largest distance of interest
+   * @returns {number} Edit distance, or max + 1 if it exceeds max
+   */
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+        if (prevPrev && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, prevPrev[j - 2] + 1);
+        }
+        row.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+
+      if (rowMin > max) return max + 1;
+      prevPrev = prev;
+      prev = row;
+    }
+
+    return Math.min(prev[b.length], max + 1);
+  }
+
+  /**
+   * SearchIndex class - inverted index over post fields
+   * Built once from processed posts, queried on every keystroke.
+   * Ranks with BM25F: per-field term frequencies are length-normalized,
+   * weighted and summed before BM25 saturation is applied.
+   */
+  class SearchIndex {
+    constructor(docs, options, snapshot) {
+      this.options = Object.assign({
+        // A weight of 0 keeps a field out of free-text matching; field filters still see it
+        fieldWeights: { title: 10, tags: 5, categories: 3, content: 1, code: 0.5 },
+        k1: 1.2,
+        b: 0.75,
+        recencyBoost: 0,
+        recencyHalfLife: 365,
+        fuzzy: true
+      }, options);
+
+      this.docs = docs;
+      this.fields = Object.keys(this.options.fieldWeights);
+      this.weights = this.fields.map(field => this.options.fieldWeights[field]);
+      this.postings = new Map();
+      this.vocabulary = [];
+      this.lengths = [];
+      this.avgLengths = [];
+      this.boosts = [];
+
+      if (snapshot && snapshot.fields.join() === this.fields.join()) {
+        this.restore(snapshot);
+      } else {
+        this.build();
+      }
+    }
+
+    /**
+     * Build postings: term -> Map(docId -> per-field term frequency)
+     */
+    build() {
+      this.docs.forEach((doc, docId) => {
+        const lengths = new Array(this.fields.length).fill(0);
+
+        this.fields.forEach((field, fieldIndex) => {
+          const value = Array.isArray(doc[field]) ? doc[field].join(' ') : doc[field];
+          const terms = tokenize(value);
+
+          for (const term of terms) {
+            let docMap = this.postings.get(term);
+            if (!docMap) {
+              docMap = new Map();
+              this.postings.set(term, docMap);
+            }
+            let freqs = docMap.get(docId);
+            if (!freqs) {
+              freqs = new Array(this.fields.length).fill(0);
+              docMap.set(docId, freqs);
+            }
+            freqs[fieldIndex]++;
+          }
+
+          lengths[fieldIndex] = terms.length;
+        });
+
+        this.lengths.push(lengths);
+      });
+
+      this.finalize();
+    }
+
+    /**
+     * Restore postings and field lengths saved by toJSON()
+     * @param {object} snapshot - Serialized index
+     */
+    restore(snapshot) {
+      this.postings = new Map(snapshot.postings.map(([term, entries]) => [term, new Map(entries)]));
+      this.lengths = snapshot.lengths;
+      this.finalize();
+    }
+
+    /**
+     * Derive averages, boosts and vocabulary from postings and lengths
+     */
+    finalize() {
+      const totals = new Array(this.fields.length).fill(0);
+      this.lengths.forEach(lengths => {
+        lengths.forEach((length, i) => { totals[i] += length; });
+      });
+
+      this.avgLengths = totals.map(total => (total / this.docs.length) || 1);
+      this.boosts = this.computeBoosts();
+
+      // Sorted vocabulary allows prefix lookups by binary search
+      this.vocabulary = Array.from(this.postings.keys()).sort();
+
+      // Vocabulary grouped by stem, for matching other inflections
+      this.stems = new Map();
+      this.vocabulary.forEach((term) => {
+        if (!/^[a-z]+$/.test(term)) return;
+        const key = stem(term);
+        if (!this.stems.has(key)) this.stems.set(key, []);
+        this.stems.get(key).push(term);
+      });
+    }
+
+    /**
+     * Index additional text for one field of a document
+     * Used when an encrypted post is unlocked after the index was built
+     * @param {number} docId - Document id
+     * @param {string} field - Field name
+     * @param {string} value - Text to add
+     */
+    addField(docId, field, value) {
+      const fieldIndex = this.fields.indexOf(field);
+      if (fieldIndex === -1) return;
+
+      const terms = tokenize(value);
+      for (const term of terms) {
+        let docMap = this.postings.get(term);
+        if (!docMap) {
+          docMap = new Map();
+          this.postings.set(term, docMap);
+        }
+        let freqs = docMap.get(docId);
+        if (!freqs) {
+          freqs = new Array(this.fields.length).fill(0);
+          docMap.set(docId, freqs);
+        }
+        freqs[fieldIndex]++;
+      }
+
+      this.lengths[docId][fieldIndex] += terms.length;
+      this.finalize();
+    }
+
+    /**
+     * Serialize the parts of the index that are costly to rebuild
+     * Weights, boosts and averages are cheap and depend on options, so they are recomputed
+     * Counts are copied, so later addField() calls don't change the snapshot
+     * @returns {object} Structured-cloneable snapshot
+     */
+    toJSON() {
+      return {
+        fields: this.fields,
+        lengths: this.lengths.map(lengths => lengths.slice()),
+        postings: Array.from(this.postings, ([term, docMap]) => [
+          term,
+          Array.from(docMap, ([docId, freqs]) => [docId, freqs.slice()])
+        ])
+      };
+    }
+
+    /**
+     * Compute per-document recency multipliers
+     * Age is measured from the newest post, so an idle blog keeps its ordering
+     * Posts without a date in search.json are left unboosted
+     * @returns {number[]} Score multiplier per document
+     */
+    computeBoosts() {
+      const { recencyBoost, recencyHalfLife } = this.options;
+      const times = this.docs.map(doc => Date.parse(doc.date));
+      const newest = Math.max(...times.filter(time => !isNaN(time)));
+
+      return times.map(time => {
+        if (!recencyBoost || isNaN(time) || !isFinite(newest)) return 1;
+        const ageDays = (newest - time) / DAY_MS;
+        return 1 + recencyBoost * Math.pow(0.5, ageDays / recencyHalfLife);
+      });
+    }
+
+    /**
+     * Find indexed terms a query term should match
+     * Whole terms match exactly, by prefix (for search-as-you-type) or as
+     * another inflection of the same stem; a lone CJK character matches any
+     * bigram containing it.
+     * Only when neither finds anything are typo corrections tried,
+     * so fuzzy hits never crowd out exact ones.
+     * @param {string} term - Query term
+     * @returns {Array<{term: string, weight: number}>} Matching vocabulary terms
+     */
+    expandTerm(term) {
+      if (CJK_TEST.test(term) && term.length === 1) {
+        return this.vocabulary
+          .filter(v => v.includes(term))
+          .map(v => ({ term: v, weight: PREFIX_MATCH_WEIGHT }));
+      }
+
+      const matches = this.prefixMatches(term).map(v => ({
+        term: v,
+        weight: v === term ? 1 : PREFIX_MATCH_WEIGHT
+      }));
+
+      // Other inflections of the same word rank between exact and prefix matches
+      (this.stems.get(stem(term)) || []).forEach((v) => {
+        const existing = matches.find(match => match.term === v);
+        if (!existing) {
+          matches.push({ term: v, weight: STEM_MATCH_WEIGHT });
+        } else if (existing.weight < STEM_MATCH_WEIGHT) {
+          existing.weight = STEM_MATCH_WEIGHT;
+        }
+      });
+
+      if (matches.length || !this.options.fuzzy) {
+        return matches;
+      }
+
+      return this.fuzzyMatches(term, maxEditDistance(term))
+        .map(match => ({ term: match.term, weight: FUZZY_MATCH_WEIGHT / match.distance }));
+    }
+
+    /**
+     * Find vocabulary terms starting with a prefix
+     * @param {string} prefix - Term prefix
+     * @returns {string[]} Matching terms in sorted order
+     */
+    prefixMatches(prefix) {
+      const matches = [];
+      let low = 0;
+      let high = this.vocabulary.length;
+      while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (this.vocabulary[mid] < prefix) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+      for (let i = low; i < this.vocabulary.length && this.vocabulary[i].startsWith(prefix); i++) {
+        matches.push(this.vocabulary[i]);
+      }
+      return matches;
+    }
+
+    /**
+     * Find vocabulary terms within an edit distance of a term
+     * @param {string} term - Query term
+     * @param {number} max - Maximum edit distance
+     * @returns {Array<{term: string, distance: number}>} Closest first
+     */
+    fuzzyMatches(term, max) {
+      if (max < 1) return [];
+
+      const matches = [];
+      for (const candidate of this.vocabulary) {
+        if (CJK_TEST.test(candidate)) continue;
+        const distance = editDistance(term, candidate, max);
+        if (distance <= max) {
+          matches.push({ term: candidate, distance });
+        }
+      }
+      return matches.sort((x, y) => x.distance - y.distance);
+    }
+
+    /**
+     * Suggest a corrected query for one that matched nothing
+     * Unknown terms are replaced by their closest indexed term
+     * @param {string} query - Raw query string
+     * @returns {string|null} Corrected query, or null if there is none
+     */
+    suggest(query) {
+      let changed = false;
+      const terms = tokenize(query).map(term => {
+        if (this.prefixMatches(term).length) return term;
+
+        const closest = this.fuzzyMatches(term, maxEditDistance(term) + 1)[0];
+        if (!closest) return term;
+
+        changed = true;
+        return closest.term;
+      });
+
+      if (!changed) return null;
+
+      const suggestion = terms.join(' ');
+      return this.search(suggestion).length ? suggestion : null;
+    }
+
+    /**
+     * Check whether a document contains a phrase
+     * Terms must appear consecutively within a single field
+     * @param {number} docId - Document id
+     * @param {string} phrase - Phrase or single word
+     * @param {string} [field] - Restrict the check to one field
+     * @returns {boolean} True if the phrase occurs
+     */
+    containsPhrase(docId, phrase, field) {
+      const terms = tokenize(phrase);
+      if (!terms.length) return true;
+
+      // Cheap rejection before re-tokenizing the document
+      const fieldIndex = field ? this.fields.indexOf(field) : -1;
+      for (const term of terms) {
+        const freqs = this.postings.has(term) && this.postings.get(term).get(docId);
+        if (!freqs || (fieldIndex !== -1 && !freqs[fieldIndex])) return false;
+      }
+      if (terms.length === 1) return true;
+
+      const needle = ` ${terms.join(' ')} `;
+      return (field ? [field] : this.fields).some(name => {
+        const doc = this.docs[docId];
+        const value = Array.isArray(doc[name]) ? doc[name].join(' ') : doc[name];
+        return ` ${tokenize(value).join(' ')} `.includes(needle);
+      });
+    }
+
+    /**
+     * Every document, ordered by recency boost then source order
+     * Used when a query has filters but no free text
+     * @returns {Array<{docId: number, score: number, freqs: number[], terms: Set}>} All documents
+     */
+    matchAll() {
+      return this.docs
+        .map((doc, docId) => ({
+          docId,
+          score: this.boosts[docId],
+          freqs: new Array(this.fields.length).fill(0),
+          terms: new Set()
+        }))
+        .sort((x, y) => y.score - x.score || x.docId - y.docId);
+    }
+
+    /**
+     * BM25F contribution of one indexed term to one document
+     * @param {number} docId - Document id
+     * @param {number[]} freqs - Per-field term frequencies
+     * @param {number} docFreq - Number of documents containing the term
+     * @returns {number} Term score
+     */
+    scoreTerm(docId, freqs, docFreq) {
+      const { k1, b } = this.options;
+      const total = this.docs.length;
+      const idf = Math.log(1 + (total - docFreq + 0.5) / (docFreq + 0.5));
+
+      let weighted = 0;
+      freqs.forEach((freq, i) => {
+        if (!freq) return;
+        const norm = 1 - b + b * (this.lengths[docId][i] / this.avgLengths[i]);
+        weighted += this.weights[i] * freq / norm;
+      });
+
+      return idf * weighted / (k1 + weighted);
+    }
+
+    /**
+     * Find and rank documents containing every query term
+     * @param {string} query - Raw query string
+     * @returns {Array<{docId: number, score: number, freqs: number[], terms: Set}>} Best match first,
+     *   with the indexed terms each document matched on
+     */
+    search(query) {
+      const terms = Array.from(new Set(tokenize(query)));
+      let result = null;
+
+      for (const term of terms) {
+        const termDocs = new Map();
+
+        for (const { term: indexed, weight } of this.expandTerm(term)) {
+          const docMap = this.postings.get(indexed);
+
+          docMap.forEach((freqs, docId) => {
+            if (!freqs.some((freq, i) => freq && this.weights[i] > 0)) return;
+
+            const match = termDocs.get(docId) ||
+              { docId, score: 0, freqs: new Array(this.fields.length).fill(0), terms: new Set() };
+            match.score += weight * this.scoreTerm(docId, freqs, docMap.size);
+            freqs.forEach((freq, i) => { match.freqs[i] += freq; });
+            match.terms.add(indexed);
+            termDocs.set(docId, match);
+          });
+        }
+
+        if (result === null) {
+          result = termDocs;
+        } else {
+          // AND semantics: keep only documents matching every term
+          const intersected = new Map();
+          result.forEach((match, docId) => {
+            const other = termDocs.get(docId);
+            if (other) {
+              match.score += other.score;
+              match.freqs = match.freqs.map((freq, i) => freq + other.freqs[i]);
+              other.terms.forEach(term => match.terms.add(term));
+              intersected.set(docId, match);
+            }
+          });
+          result = intersected;
+        }
+
+        if (result.size === 0) break;
+      }
+
+      const matches = Array.from((result || new Map()).values());
+      matches.forEach(match => { match.score *= this.boosts[match.docId]; });
+
+      // Ties keep source order so results stay stable as the corpus grows
+      return matches.sort((x, y) => y.score - x.score || x.docId - y.docId);
+    }
+  }
+
+  // Excerpt fragments may stretch this far to end on a sentence or word boundary
+  const BOUNDARY_SLACK = 30;
+  // Context kept before the first match of a fragment
+  const FRAGMENT_LEAD = 40;
+  // Tested against a character and the one after it
+  const SENTENCE_END = /^(?:[\n。！？；]|[.!?;](?:\s|$))/;
+  const WORD_BREAK = new RegExp(`[\\s${CJK_RANGE}]`);
+
+  /**
+   * Find the spans of text that produced any of the given index terms
+   * Walks the text with the tokenizer's own boundaries, so prefix, stem and
+   * fuzzy matches mark exactly the words that matched
+   * @param {string} text - Display text
+   * @param {Set<string>} terms - Matched index terms
+   * @returns {Array<number[]>} Sorted, non-overlapping [start, end) offsets
+   */
+  function findTermRanges(text, terms) {
+    const ranges = [];
+    if (!text || !terms.size) return ranges;
+
+    for (const match of String(text).matchAll(TOKEN_PATTERN)) {
+      const run = match[0].toLowerCase();
+      const start = match.index;
+
+      if (!CJK_TEST.test(run) || run.length === 1) {
+        if (terms.has(run)) ranges.push([start, start + match[0].length]);
+        continue;
+      }
+      for (let i = 0; i < run.length - 1; i++) {
+        if (terms.has(run.substring(i, i + 2))) ranges.push([start + i, start + i + 2]);
+      }
+    }
+
+    // Overlapping CJK bigrams join into one span
+    return ranges.reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push(range);
+      }
+      return merged;
+    }, []);
+  }
+
+  /**
+   * Move a fragment start back to a sentence start, or forward to a word start
+   * @param {string} text - Full text
+   * @param {number} start - Proposed start
+   * @param {number} limit - Offset the start must not pass (the first match)
+   * @returns {number} Adjusted start
+   */
+  function snapStart(text, start, limit) {
+    for (let i = start; i > 0 && i >= start - BOUNDARY_SLACK; i--) {
+      if (SENTENCE_END.test(text.substring(i - 1, i + 1))) return i;
+    }
+    for (let i = start; i > 0 && i < limit && i <= start + BOUNDARY_SLACK; i++) {
+      if (WORD_BREAK.test(text[i - 1])) return i;
+    }
+    return start;
+  }
+
+  /**
+   * Move a fragment end forward to a sentence end, or back to a word end
+   * @param {string} text - Full text
+   * @param {number} end - Proposed end
+   * @param {number} limit - Offset the end must not precede (the last match)
+   * @returns {number} Adjusted end
+   */
+  function snapEnd(text, end, limit) {
+    for (let i = end; i < text.length && i <= end + BOUNDARY_SLACK; i++) {
+      if (SENTENCE_END.test(text.substring(i - 1, i + 1))) return i;
+    }
+    for (let i = end; i < text.length && i >= limit && i >= end - BOUNDARY_SLACK; i--) {
+      if (WORD_BREAK.test(text[i])) return i;
+    }
+    return Math.min(end, text.length);
+  }
+
+  /**
+   * Cut a fragment and re-base its highlight ranges
+   * @param {string} text - Full text
+   * @param {number} start - Fragment start
+   * @param {number} end - Fragment end
+   * @param {Array<number[]>} ranges - Highlight ranges inside the fragment
+   * @returns {object} { text, ranges, truncatedStart, truncatedEnd }
+   */
+  function makeFragment(text, start, end, ranges) {
+    // Trim surrounding whitespace without moving any range
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+
+    return {
+      text: text.substring(start, end),
+      ranges: ranges.map(range => [range[0] - start, range[1] - start]),
+      truncatedStart: /\S/.test(text.substring(0, start)),
+      truncatedEnd: /\S/.test(text.substring(end))
+    };
+  }
+
+  /**
+   * Pick the passages of a post where matched terms are densest
+   * Windows are scored by distinct matched words, then by total matches.
+   * Further fragments are added only for clusters at least half as strong
+   * as the best one, and a lone fragment gets the whole length budget.
+   * @param {string} text - Post content
+   * @param {Array<number[]>} ranges - Match ranges from findTermRanges()
+   * @param {object} options - { length: total characters, fragments: maximum count }
+   * @returns {object[]} Fragments in document order, see makeFragment()
+   */
+  function selectFragments(text, ranges, options) {
+    if (!text) return [];
+
+    const length = Math.max(1, options.length);
+    if (!ranges.length) {
+      return [makeFragment(text, 0, snapEnd(text, length, 0), [])];
+    }
+
+    const maxFragments = Math.max(1, options.fragments || 1);
+    const windowLength = Math.max(60, Math.floor(length / maxFragments));
+
+    const score = (start, end) => {
+      const inside = ranges.filter(range => range[0] >= start && range[1] <= end);
+      const words = new Set(inside.map(range => text.substring(range[0], range[1]).toLowerCase()));
+      return { start, end, inside, score: words.size * 2 + inside.length };
+    };
+
+    const candidates = ranges
+      .map(range => {
+        const start = Math.max(0, range[0] - Math.min(FRAGMENT_LEAD, windowLength / 3));
+        return score(start, Math.min(text.length, start + windowLength));
+      })
+      .sort((x, y) => y.score - x.score || x.start - y.start);
+
+    const chosen = [candidates[0]];
+    for (const candidate of candidates) {
+      if (chosen.length >= maxFragments) break;
+      if (candidate.score * 2 < chosen[0].score || candidate.inside.length < 2) continue;
+      if (chosen.some(other => candidate.start < other.end && other.start < candidate.end)) continue;
+      chosen.push(candidate);
+    }
+
+    if (chosen.length === 1) {
+      // Only one cluster: grow it to the full budget around its matches
+      const best = chosen[0];
+      const center = (best.inside[0][0] + best.inside[best.inside.length - 1][1]) / 2;
+      const start = Math.max(0, Math.min(Math.round(center - length / 2), text.length - length));
+      chosen[0] = score(start, Math.min(text.length, start + length));
+    }
+
+    return chosen
+      .sort((x, y) => x.start - y.start)
+      .map((fragment) => {
+        const first = fragment.inside.length ? fragment.inside[0][0] : fragment.end;
+        const last = fragment.inside.length ? fragment.inside[fragment.inside.length - 1][1] : fragment.start;
+        const start = snapStart(text, fragment.start, first);
+        const end = snapEnd(text, fragment.end, last);
+        return makeFragment(text, start, end,
+          ranges.filter(range => range[0] >= start && range[1] <= end));
+      });
+  }
+
+  // Entities decoded when stripping HTML; numeric references are handled separately
+  const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+    copy: '\u00a9',
+    reg: '\u00ae',
+    hellip: '\u2026',
+    mdash: '\u2014',
+    ndash: '\u2013',
+    lsquo: '\u2018',
+    rsquo: '\u2019',
+    ldquo: '\u201c',
+    rdquo: '\u201d'
+  };
+
+  // Elements whose boundaries separate words in the rendered text
+  const BLOCK_TAG_PATTERN = /<\/?(?:address|article|aside|blockquote|br|dd|div|dl|dt|figcaption|figure|footer|h[1-6]|header|hr|li|ol|p|pre|section|table|td|th|tr|ul)\b[^>]*>/gi;
+
+  /**
+   * Decode HTML character references
+   * @param {string} text - Text containing entities
+   * @returns {string} Decoded text
+   */
+  function decodeEntities(text) {
+    return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code = name[1] === 'x' || name[1] === 'X'
+          ? parseInt(name.substring(2), 16)
+          : parseInt(name.substring(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+      }
+      const decoded = NAMED_ENTITIES[name.toLowerCase()];
+      return decoded !== undefined ? decoded : entity;
+    });
+  }
+
+  /**
+   * Strip HTML tags from content without a DOM
+   * Workers have no document, so this mirrors textContent with regular expressions
+   * @param {string} html - HTML or Markdown source
+   * @returns {string} Plain text
+   */
+  function stripHtml(html) {
+    const text = String(html)
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<(script|style|template)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+      .replace(BLOCK_TAG_PATTERN, ' ')
+      .replace(/<\/?[a-z][^>]*>/gi, '');
+
+    return decodeEntities(text);
+  }
+
+  /**
+   * Reduce Markdown prose to its readable text
+   * Link text is kept while URLs, images and block markers are dropped.
+   * Expects fenced code to have been removed already.
+   * @param {string} markdown - Markdown without code blocks
+   * @returns {string} Text that may still contain inline HTML
+   */
+  function stripMarkdown(markdown) {
+    return markdown
+      // Code spans keep their text; escape "<" so stripHtml() reads it as text, not a tag
+      .replace(/(`+)([^`][\s\S]*?)\1(?!`)/g, (match, ticks, code) =>
+        code.replace(/&/g, '&amp;').replace(/</g, '&lt;'))
+      // Images, inline or by reference
+      .replace(/!\[[^\]]*\](?:\([^)]*\)|\[[^\]]*\])/g, ' ')
+      // Links keep their text, inline or by reference
+      .replace(/\[([^\]]*)\](?:\([^)]*\)|\[[^\]]*\])/g, '$1')
+      // Link reference definitions
+      .replace(/^ {0,3}\[[^\]]+\]:[ \t]*\S+.*$/gm, '')
+      // Autolinks and bare URLs
+      .replace(/<(?:https?|ftp|mailto):[^>\s]*>/gi, ' ')
+      .replace(/\b(?:https?|ftp):\/\/[^\s<>()]+/gi, ' ')
+      // ATX headings, including optional closing hashes
+      .replace(/^ {0,3}#{1,6}(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/gm, '$1')
+      // Thematic breaks, setext underlines and table delimiter rows
+      .replace(/^ {0,3}(?:(?:[-*_][ \t]*){3,}|=+[ \t]*)$/gm, '')
+      .replace(/^[ \t]*\|?(?:[ \t]*:?-+:?[ \t]*\|)+(?:[ \t]*:?-+:?[ \t]*)?$/gm, '')
+      // Blockquote, list and task markers
+      .replace(/^[ \t]*(?:>[ \t]?)+/gm, '')
+      .replace(/^[ \t]*(?:[-*+]|\d{1,9}[.)])[ \t]+(?:\[[ xX]\][ \t]+)?/gm, '')
+      // Emphasis and strikethrough, leaving snake_case alone
+      .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2')
+      .replace(/(^|[^\w*])([*_])(?=\S)([^*_\n]*?\S)\2(?!\w)/g, '$1$3')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '$1')
+      // Table cell separators
+      .replace(/[ \t]*\|[ \t]*/g, ' ');
+  }
+
+  /**
+   * Split a post body into searchable prose and code
+   * Handles both the raw Markdown in search.json and rendered HTML from
+   * decrypted posts. Code is indexed as its own field so it can be searched
+   * with code: or left out of free-text matching.
+   * @param {string} source - Markdown or HTML
+   * @returns {object} { content, code } - plain text
+   */
+  function normalizeContent(source) {
+    const code = [];
+
+    // Rendered code: <pre> blocks, minus the line numbers of Hexo's highlight tables
+    const html = String(source)
+      .replace(/<td class="gutter">[\s\S]*?<\/td>/gi, '')
+      .replace(/<pre\b[^>]*>([\s\S]*?)<\/pre>/gi, (match, inner) => {
+        code.push(stripHtml(inner));
+        return '\n';
+      });
+
+    // Markdown fences, kept verbatim so HTML in code samples stays searchable
+    const prose = [];
+    let fence = null;
+    html.split('\n').forEach((line) => {
+      const marker = line.match(/^ {0,3}(`{3,}|~{3,})(.*)$/);
+      if (fence) {
+        const closes = marker && marker[1][0] === fence[0] &&
+          marker[1].length >= fence.length && !marker[2].trim();
+        if (closes) {
+          fence = null;
+        } else {
+          code.push(line);
+        }
+      } else if (marker) {
+        fence = marker[1];
+      } else {
+        prose.push(line);
+      }
+    });
+
+    return {
+      content: stripHtml(stripMarkdown(prose.join('\n')))
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ ?\n\s*/g, '\n')
+        .trim(),
+      code: code.join('\n').trim()
+    };
+  }
+
+  /**
+   * Extract tag names from tags data
+   */
+  function extractTags(tags) {
+    if (!tags) return [];
+    if (Array.isArray(tags)) {
+      return tags.map(tag => typeof tag === 'string' ? tag : (tag.name || ''));
+    }
+    return [];
+  }
+
+  /**
+   * Extract category names from categories data
+   */
+  function extractCategories(categories) {
+    if (!categories) return [];
+    if (Array.isArray(categories)) {
+      return categories.map(cat => typeof cat === 'string' ? cat : (cat.name || ''));
+    }
+    return [];
+  }
+
+  // Bump when the cached record layout or tokenizer changes
+  const CACHE_SCHEMA = 3;
+
+  /**
+   * Hash search.json so a rebuilt site invalidates the cache
+   * Falls back to FNV-1a where SubtleCrypto is unavailable (insecure origins)
+   * @param {string} text - File contents
+   * @returns {Promise<string>} Hex digest
+   */
+  async function hashText(text) {
+    const subtle = self.crypto && self.crypto.subtle;
+    if (subtle) {
+      const digest = await subtle.digest('SHA-256', new TextEncoder().encode(text));
+      return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return 'fnv-' + (hash >>> 0).toString(16);
+  }
+
+  /**
+   * IndexCache class - IndexedDB store of processed search indexes, keyed by URL
+   * Every failure resolves quietly: the cache is an optimization, never a requirement
+   */
+  class IndexCache {
+    constructor(dbName, storeName) {
+      this.dbName = dbName;
+      this.storeName = storeName;
+      this.dbPromise = null;
+    }
+
+    /**
+     * Open (and create on first use) the database
+     * @returns {Promise<IDBDatabase|null>} Database, or null if unavailable
+     */
+    open() {
+      if (!this.dbPromise) {
+        this.dbPromise = new Promise((resolve) => {
+          if (!self.indexedDB) {
+            resolve(null);
+            return;
+          }
+
+          const request = self.indexedDB.open(this.dbName, 1);
+          request.onupgradeneeded = () => {
+            request.result.createObjectStore(this.storeName, { keyPath: 'url' });
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => resolve(null);
+          request.onblocked = () => resolve(null);
+        });
+      }
+      return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the store
+     * @param {string} mode - Transaction mode
+     * @param {Function} makeRequest - Receives the object store, returns an IDBRequest
+     * @returns {Promise<*>} Request result, or null on failure
+     */
+    async run(mode, makeRequest) {
+      const db = await this.open();
+      if (!db) return null;
+
+      return new Promise((resolve) => {
+        try {
+          const request = makeRequest(db.transaction(this.storeName, mode).objectStore(this.storeName));
+          request.onsuccess = () => resolve(request.result || null);
+          request.onerror = () => resolve(null);
+        } catch (error) {
+          resolve(null);
+        }
+      });
+    }
+
+    /**
+     * Get a cached record if it was written by this version of the worker
+     * @param {string} url - search.json URL
+     * @returns {Promise<object|null>} Cached record
+     */
+    async get(url) {
+      const record = await this.run('readonly', store => store.get(url));
+      return record && record.schema === CACHE_SCHEMA ? record : null;
+    }
+
+    /**
+     * Store a record
+     * @param {object} record - Record with a url key
+     * @returns {Promise<void>}
+     */
+    async put(record) {
+      await this.run('readwrite', store => store.put(Object.assign({ schema: CACHE_SCHEMA }, record)));
+    }
+  }
+
+  const indexCache = new IndexCache('dark-tech-search', 'indexes');
+
+  /**
+   * SearchService class - owns the processed posts and index inside the worker
+   */
+  class SearchService {
+    constructor() {
+      this.searchData = null;
+      this.index = null;
+      // url -> { content, code } of unlocked encrypted posts, re-applied after rebuilds
+      this.unlocked = new Map();
+    }
+
+    /**
+     * Load the index from cache or network
+     * A cached index is used straight away and revalidated in the background
+     * @param {string} url - Absolute URL of search.json
+     * @param {object} options - SearchIndex options
+     * @param {boolean} useCache - Whether to read and write the IndexedDB cache
+     * @param {Function} onUpdate - Called with the post count if revalidation replaced the index
+     * @returns {Promise<{count: number, cached: boolean}>} Load outcome
+     */
+    async load(url, options, useCache, onUpdate) {
+      this.url = url;
+      this.options = options;
+      this.useCache = useCache;
+
+      const cached = useCache ? await indexCache.get(url) : null;
+      if (cached) {
+        this.searchData = cached.docs;
+        this.index = new SearchIndex(cached.docs, options, cached.index);
+        this.unlocked.forEach((body, url) => this.applyUnlocked(url, body));
+
+        this.revalidate(cached)
+          .then(updated => { if (updated) onUpdate(this.searchData.length); })
+          .catch(error => console.warn('Search index revalidation failed:', error));
+
+        return { count: this.searchData.length, cached: true };
+      }
+
+      const fetched = await this.fetchData(null);
+      await this.applyFetched(fetched);
+      return { count: this.searchData.length, cached: false };
+    }
+
+    /**
+     * Fetch search.json, conditionally if an ETag is known
+     * @param {string|null} etag - ETag of the cached copy
+     * @returns {Promise<object|null>} { data, etag, version }, or null if unchanged
+     */
+    async fetchData(etag) {
+      const response = await fetch(this.url, {
+        cache: 'no-cache',
+        headers: etag ? { 'If-None-Match': etag } : {}
+      });
+      if (response.status === 304) {
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error('Failed to load search data');
+      }
+
+      const text = await response.text();
+      return {
+        data: JSON.parse(text),
+        etag: response.headers.get('ETag'),
+        version: await hashText(text)
+      };
+    }
+
+    /**
+     * Index freshly fetched data and write it to the cache
+     * @param {object} fetched - Result of fetchData()
+     */
+    async applyFetched(fetched) {
+      this.searchData = this.processSearchData(fetched.data, this.options);
+
+      // Snapshot before re-applying unlocked bodies so plaintext never reaches the cache
+      const record = {
+        url: this.url,
+        version: fetched.version,
+        etag: fetched.etag,
+        docs: this.searchData.map(doc => Object.assign({}, doc)),
+        index: this.index.toJSON(),
+        savedAt: Date.now()
+      };
+
+      this.unlocked.forEach((body, url) => this.applyUnlocked(url, body));
+
+      if (this.useCache) {
+        await indexCache.put(record);
+      }
+    }
+
+    /**
+     * Make an encrypted post's decrypted body searchable
+     * @param {string} url - Post URL as listed in search.json
+     * @param {string} html - Decrypted post HTML, or its search text from search.json
+     * @returns {boolean} True if the post was newly unlocked
+     */
+    unlock(url, html) {
+      const body = normalizeContent(html || '');
+      if ((!body.content && !body.code) || this.unlocked.has(url)) return false;
+
+      this.unlocked.set(url, body);
+      return this.applyUnlocked(url, body);
+    }
+
+    /**
+     * Add unlocked content to the current docs and index
+     * @param {string} url - Post URL
+     * @param {object} body - { content, code } from normalizeContent()
+     * @returns {boolean} True if a locked post matched
+     */
+    applyUnlocked(url, body) {
+      const docId = this.searchData.findIndex(doc => doc.url === url);
+      const doc = this.searchData[docId];
+      if (!doc || !doc.encrypted || doc.unlocked) return false;
+
+      doc.content = body.content;
+      doc.code = body.code;
+      doc.unlocked = true;
+      this.index.addField(docId, 'content', body.content);
+      this.index.addField(docId, 'code', body.code);
+      return true;
+    }
+
+    /**
+     * Encrypted posts whose bodies are not indexed yet
+     * @returns {Array<{url: string, encrypted: object}>} Locked posts with their ciphertext
+     */
+    getLocked() {
+      return this.searchData
+        .filter(doc => doc.encrypted && !doc.unlocked)
+        .map(doc => ({ url: doc.url, encrypted: doc.encrypted }));
+    }
+
+    /**
+     * Check a cached index against the network copy
+     * Offline or unchanged: keep the cache. Changed content: rebuild.
+     * @param {object} cached - Cached record
+     * @returns {Promise<boolean>} True if the index was replaced
+     */
+    async revalidate(cached) {
+      const fetched = await this.fetchData(cached.etag);
+      if (!fetched || fetched.version === cached.version) {
+        return false;
+      }
+
+      await this.applyFetched(fetched);
+      return true;
+    }
+
+    /**
+     * Process raw search data into searchable format
+     */
+    processSearchData(data, options) {
+      // Handle different data formats from hexo-generator-search
+      const posts = Array.isArray(data) ? data : (data.posts || []);
+
+      const docs = posts.map(post => ({
+        title: post.title || '',
+        url: post.url || post.path || '',
+        date: post.date || '',
+        // Password-protected posts are indexed by title and taxonomy only,
+        // even if a misconfigured generator included their plaintext
+        ...(post.encrypted ? { content: '', code: '' } : normalizeContent(post.content || '')),
+        tags: extractTags(post.tags),
+        categories: extractCategories(post.categories),
+        encrypted: post.encrypted || null,
+        unlocked: false
+      }));
+
+      // Build the inverted index once, rather than scanning content per query
+      this.index = new SearchIndex(docs, options);
+
+      return docs;
+    }
+
+    /**
+     * Run a query, including the spelling suggestion for empty result sets
+     * @param {string} keyword - Raw query string
+     * @param {Array<{field: string, value: string}>} [filters] - Facet filters chosen in the UI
+     * @param {object} [excerpt] - { length, fragments } for result excerpts
+     * @returns {object} { results, text, suggestion, facets }
+     */
+    query(keyword, filters, excerpt) {
+      const query = parseQuery(keyword);
+      (filters || []).forEach((filter) => {
+        if (filter.field === 'tags' || filter.field === 'categories') {
+          query.filters.push({ field: filter.field, value: String(filter.value), negate: false });
+        }
+      });
+
+      const results = this.search(query, Object.assign({ length: 150, fragments: 1 }, excerpt));
+
+      // Only plain queries get a spelling suggestion; operators are kept as typed
+      const isPlain = !query.phrases.length && !query.excludes.length && !query.filters.length;
+      const suggestion = results.length === 0 && isPlain ? this.index.suggest(query.text) : null;
+
+      return { results, text: query.text || keyword, suggestion, facets: this.getFacets(results) };
+    }
+
+    /**
+     * Count categories and tags across matching posts
+     * @param {object[]} results - Matching posts
+     * @returns {object} { categories, tags } - each a list of { value, count }, most common first
+     */
+    getFacets(results) {
+      const count = (field) => {
+        const counts = new Map();
+        results.forEach((post) => {
+          new Set(post[field]).forEach((value) => {
+            if (value) counts.set(value, (counts.get(value) || 0) + 1);
+          });
+        });
+        return Array.from(counts, ([value, total]) => ({ value, count: total }))
+          .sort((x, y) => y.count - x.count || x.value.localeCompare(y.value));
+      };
+
+      return { categories: count('categories'), tags: count('tags') };
+    }
+
+    /**
+     * Search through posts
+     * @param {object} query - Parsed query from parseQuery()
+     * @param {object} excerpt - { length, fragments } for result excerpts
+     * @returns {object[]} Matching posts, best first, with highlight ranges
+     */
+    search(query, excerpt) {
+      const hasConstraints = query.excludes.length || query.filters.length;
+      const fieldIndex = field => this.index.fields.indexOf(field);
+      const matchedField = (freqs, field) => fieldIndex(field) !== -1 && freqs[fieldIndex(field)] > 0;
+
+      let matches;
+      if (query.text) {
+        matches = this.index.search(query.text);
+      } else {
+        matches = hasConstraints ? this.index.matchAll() : [];
+      }
+
+      return matches
+        .filter(match => this.matchesQuery(match.docId, query))
+        .map((match) => {
+          const post = this.searchData[match.docId];
+
+          // Excerpt the prose, or the code when only code matched
+          let excerptSource = post.content;
+          let excerptRanges = findTermRanges(post.content, match.terms);
+          if (!excerptRanges.length && post.code) {
+            const codeRanges = findTermRanges(post.code, match.terms);
+            if (codeRanges.length) {
+              excerptSource = post.code;
+              excerptRanges = codeRanges;
+            }
+          }
+
+          return {
+            ...post,
+            // Flag only; the ciphertext stays in the worker
+            encrypted: Boolean(post.encrypted),
+            docId: match.docId,
+            score: match.score,
+            matchedIn: {
+              title: matchedField(match.freqs, 'title'),
+              content: matchedField(match.freqs, 'content'),
+              tags: matchedField(match.freqs, 'tags'),
+              categories: matchedField(match.freqs, 'categories'),
+              code: matchedField(match.freqs, 'code')
+            },
+            // [start, end) offsets of matched words, for the client to mark
+            highlights: {
+              title: findTermRanges(post.title, match.terms),
+              tags: post.tags.map(tag => findTermRanges(tag, match.terms)),
+              excerpt: selectFragments(excerptSource, excerptRanges, excerpt)
+            }
+          };
+        });
+    }
+
+    /**
+     * Check a candidate against phrases, exclusions and field filters
+     * @param {number} docId - Document id
+     * @param {object} query - Parsed query from parseQuery()
+     * @returns {boolean} True if the post satisfies the query
+     */
+    matchesQuery(docId, query) {
+      const post = this.searchData[docId];
+
+      if (!query.phrases.every(phrase => this.index.containsPhrase(docId, phrase))) {
+        return false;
+      }
+
+      if (query.excludes.some(exclude => this.index.containsPhrase(docId, exclude))) {
+        return false;
+      }
+
+      return query.filters.every(filter => {
+        let matched;
+        if (filter.field === 'title' || filter.field === 'code') {
+          matched = this.index.containsPhrase(docId, filter.value, filter.field);
+        } else {
+          // Tags and categories compare whole names, as normalized by extractTags()/extractCategories()
+          const wanted = normalizeName(filter.value);
+          matched = post[filter.field].some(name => normalizeName(name) === wanted);
+        }
+        return matched !== filter.negate;
+      });
+    }
+  }
+
+  // ============================================
+  // Message handling
+  // ============================================
+
+  const service = new SearchService();
+  let isReady = false;
+  const pending = new Map();
+  let scheduled = false;
+
+  /**
+   * Answer each client's newest pending query once the index is ready
+   * Running on a zero-delay timer lets newer messages replace the pending ones first
+   */
+  function schedule() {
+    if (scheduled) return;
+    scheduled = true;
+    setTimeout(() => {
+      scheduled = false;
+      if (!isReady) return;
+
+      const jobs = Array.from(pending.values());
+      pending.clear();
+      jobs.forEach((job) => {
+        try {
+          self.postMessage(Object.assign({ type: 'results', id: job.id }, service.query(job.keyword, job.filters, job.excerpt)));
+        } catch (error) {
+          self.postMessage({ type: 'error', id: job.id, message: error.message });
+        }
+      });
+    }, 0);
+  }
+
+  self.addEventListener('message', (e) => {
+    const message = e.data || {};
+
+    switch (message.type) {
+      case 'init':
+        service.load(message.url, message.options, message.cache !== false, (count) => {
+          self.postMessage({ type: 'updated', count, locked: service.getLocked() });
+        })
+          .then(({ count, cached }) => {
+            isReady = true;
+            self.postMessage({ type: 'ready', count, cached, locked: service.getLocked() });
+            schedule();
+          })
+          .catch((error) => {
+            self.postMessage({ type: 'error', message: error.message });
+          });
+        break;
+
+      case 'search':
+        pending.set(message.client, {
+          id: message.id,
+          keyword: message.keyword,
+          filters: message.filters,
+          excerpt: message.excerpt
+        });
+        schedule();
+        break;
+
+      case 'unlock':
+        if (isReady && service.unlock(message.url, message.content)) {
+          self.postMessage({ type: 'unlocked', url: message.url });
+        }
+        break;
+
+      case 'cancel': {
+        const job = pending.get(message.client);
+        if (job && job.id <= message.id) {
+          pending.delete(message.client);
+        }
+        break;
+      }
+    }
+  });
+
+})();
@@ -1,12 +1,473 @@
 /**
  * Local Search Functionality
  * Implements real-time search with keyword highlighting
+ * Indexing and querying run in js/search-worker.js; this is the UI client
  * Requirements: 4.1, 4.2, 4.3, 4.4, 4.5
+ *
+ * Analytics: nothing is collected or sent by default. Sites that want to
+ * learn what readers search for can subscribe in either of two ways:
+ *
+ *   window.searchConfig = { onEvent: function(event) { ... } };
+ *   window.addEventListener('dark-tech-search', function(e) { ... e.detail ... });
+ *
+ * Each event is a plain object with `type`, `surface` ('dropdown' or 'page')
+ * and `timestamp`, plus:
+ *   query        { query, filters, total } once results have settled
+ *   zero-results { query, filters, suggestion } after a query with no results
+ *   result-click { query, url, title, rank, total } rank starts at 1
+ * result-click fires just before navigation; use navigator.sendBeacon to report it.
  */
 
 (function($) {
   'use strict';
 
+  // hexo-blog-encrypt plaintext marker, see lib/hbe.js
+  const HBE_KNOWN_PREFIX = '<hbe-prefix></hbe-prefix>';
+
+  /**
+   * Convert a hex string to bytes
+   * @param {string} hex - Hex string
+   * @returns {Uint8Array} Bytes
+   */
+  function hexToBytes(hex) {
+    return new Uint8Array((hex.match(/[\da-f]{2}/gi) || []).map(h => parseInt(h, 16)));
+  }
+
+  /**
+   * Decrypt an encrypted post's index chunk with a key the reader already unlocked
+   * Uses the keys js/encryption-keys.js remembers for the post, so nothing is
+   * decrypted unless the reader entered the password and it is still retained
+   * @param {object} post - Locked post from the worker, with search.json's
+   *   `encrypted` chunk (see the header of search-worker.js)
+   * @returns {Promise<string|null>} Decrypted search text, or null if the post is still locked
+   */
+  async function decryptStoredPost(post) {
+    const subtle = window.crypto && window.crypto.subtle;
+    const keyStore = window.HbeKeyStore;
+    if (!subtle || !keyStore || !post.encrypted || !post.encrypted.data) return null;
+
+    let keys = null;
+    try {
+      keys = await keyStore.load(new URL(post.url, window.location.href).pathname, post.encrypted.keyGroup);
+    } catch (e) {
+      return null;
+    }
+    if (!keys) return null;
+
+    try {
+      const data = hexToBytes(post.encrypted.data);
+      // v2 chunks are AES-GCM with their own nonce; GCM authenticates, so no marker
+      if (post.encrypted.version === 2) {
+        const plain = await subtle.decrypt({ name: 'AES-GCM', iv: hexToBytes(post.encrypted.nonce || '') }, keys.dk, data);
+        return new TextDecoder().decode(plain);
+      }
+      const plain = await subtle.decrypt({ name: 'AES-CBC', iv: keys.iv }, keys.dk, data);
+      const text = new TextDecoder().decode(plain);
+      return text.startsWith(HBE_KNOWN_PREFIX) ? text.substring(HBE_KNOWN_PREFIX.length) : null;
+    } catch (e) {
+      // Stale or mismatched key - leave the post locked
+      return null;
+    }
+  }
+
+  // Name of the window CustomEvent carrying search analytics
+  const SEARCH_EVENT = 'dark-tech-search';
+
+  // Query-string keys for facet filters on the search page
+  const FILTER_PARAMS = { tags: 'tag', categories: 'category' };
+
+  /**
+   * Build the query string for a search page URL
+   * @param {string} query - Query text
+   * @param {Array<{field: string, value: string}>} filters - Facet filters
+   * @param {number} [page] - Result page, omitted when 1
+   * @returns {string} Query string including "?", or "" if empty
+   */
+  function buildSearchQueryString(query, filters, page) {
+    const params = new URLSearchParams();
+    if (query) params.set('q', query);
+    filters.forEach(filter => params.append(FILTER_PARAMS[filter.field], filter.value));
+    if (page > 1) params.set('page', page);
+
+    const queryString = params.toString();
+    return queryString ? `?${queryString}` : '';
+  }
+
+  /**
+   * Shared search worker
+   * Every SearchEngine on the page talks to the same worker, so the index is
+   * fetched and built once even when several search UIs are in use.
+   * Worker messages are broadcast to all connected engines; query ids are
+   * unique across engines so each one recognizes its own replies.
+   */
+  const workerHub = {
+    worker: null,
+    status: 'idle',
+    readyMessage: null,
+    // Encrypted posts the worker reported as not yet indexed
+    locked: [],
+    engines: new Set(),
+    lastId: 0,
+
+    /**
+     * Register an engine and start the worker on first use
+     * @param {SearchEngine} engine - Engine to receive worker messages
+     */
+    connect(engine) {
+      this.engines.add(engine);
+
+      if (this.status === 'ready') {
+        // Joined after the index was built: replay the ready message
+        setTimeout(() => engine.handleWorkerMessage(this.readyMessage), 0);
+        return;
+      }
+      if (this.status === 'loading') {
+        return;
+      }
+
+      const options = engine.options;
+      try {
+        this.worker = new Worker(options.workerPath);
+      } catch (error) {
+        this.fail(error);
+        return;
+      }
+
+      this.status = 'loading';
+      this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+      this.worker.addEventListener('error', (e) => {
+        e.preventDefault();
+        this.fail(new Error(e.message || 'Search worker failed'));
+      });
+
+      // The first engine's ranking options configure the shared index
+      this.worker.postMessage({
+        type: 'init',
+        url: new URL(options.searchPath, window.location.href).href,
+        cache: options.cache,
+        options: {
+          fieldWeights: options.fieldWeights,
+          k1: options.k1,
+          b: options.b,
+          recencyBoost: options.recencyBoost,
+          recencyHalfLife: options.recencyHalfLife,
+          fuzzy: options.fuzzy
+        }
+      });
+    },
+
+    /**
+     * Stop sending worker messages to an engine whose elements are gone
+     * @param {SearchEngine} engine - Connected engine
+     */
+    disconnect(engine) {
+      this.engines.delete(engine);
+    },
+
+    /**
+     * Allocate a query id unique across engines
+     * @returns {number} Query id
+     */
+    nextId() {
+      return ++this.lastId;
+    },
+
+    /**
+     * Send a message to the worker, if it is running
+     * @param {object} message - Worker message, see js/search-worker.js
+     */
+    post(message) {
+      if (this.worker) {
+        this.worker.postMessage(message);
+      }
+    },
+
+    /**
+     * Route a worker message to every engine
+     * @param {object} message - Worker message
+     */
+    handleMessage(message) {
+      if (message.type === 'error' && message.id === undefined) {
+        this.fail(new Error(message.message));
+        return;
+      }
+
+      if (message.type === 'ready' || message.type === 'updated') {
+        this.status = 'ready';
+        this.readyMessage = { type: 'ready', count: message.count };
+        this.locked = message.locked || [];
+        this.unlockStoredPosts(this.locked);
+      }
+
+      this.engines.forEach(engine => engine.handleWorkerMessage(message));
+    },
+
+    /**
+     * Tear down a worker that failed to load, so the next open can retry
+     * @param {Error} error - The failure
+     */
+    fail(error) {
+      console.error('Search data load error:', error);
+      if (this.worker) {
+        this.worker.terminate();
+        this.worker = null;
+      }
+      this.status = 'idle';
+      this.engines.forEach(engine => engine.handleLoadError(error));
+    },
+
+    /**
+     * Index the bodies of encrypted posts the reader has already unlocked
+     * @param {object[]} locked - Locked posts reported by the worker
+     */
+    unlockStoredPosts(locked) {
+      (locked || []).forEach((post) => {
+        decryptStoredPost(post).then((text) => {
+          if (text) {
+            this.unlockPost(post.url, text);
+          }
+        });
+      });
+    },
+
+    /**
+     * Send a decrypted post body to the worker
+     * @param {string} url - Post URL or pathname
+     * @param {string} html - Decrypted HTML or search text
+     */
+    unlockPost(url, html) {
+      // search.json lists URLs unencoded; location.pathname is percent-encoded
+      let decodedUrl = url;
+      try {
+        decodedUrl = decodeURI(url);
+      } catch (e) {
+        // Keep the URL as given
+      }
+      this.post({ type: 'unlock', url: decodedUrl, content: html });
+    }
+  };
+
+  // Index the current post's body once the reader decrypts it, and any
+  // posts sharing its key group whose keys are now remembered too
+  window.addEventListener('hexo-blog-decrypt', () => {
+    const container = document.getElementById('hexo-blog-encrypt');
+    if (workerHub.status === 'ready' && container) {
+      workerHub.unlockPost(window.location.pathname, container.innerHTML);
+      workerHub.unlockStoredPosts(workerHub.locked);
+    }
+  });
+
+  let engineCount = 0;
+
+  // Elements the focus trap cycles through
+  const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+    'textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+  /**
+   * Check whether an element accepts text, so "/" can still be typed there
+   * @param {Element} element - Event target
+   * @returns {boolean} True for inputs, textareas and editable content
+   */
+  function isTyping(element) {
+    return $(element).is('input, textarea, select, [contenteditable]:not([contenteditable="false"])');
+  }
+
+  /**
+   * Open a page, without a page load when js/pjax.js is loaded
+   * @param {string} url - Page URL
+   */
+  function goTo(url) {
+    if (window.DarkTechPjax) {
+      window.DarkTechPjax.navigate(url);
+    } else {
+      window.location.href = url;
+    }
+  }
+
+  /**
+   * Header search panel
+   * The single owner of the dropdown's open state. The toggle button, close
+   * button, Escape, outside clicks and the "/" and Ctrl+K shortcuts all go
+   * through open() and close(), so the panel can't toggle twice or drift out
+   * of sync with the search engine.
+   *
+   * Other scripts can follow the panel through window events:
+   *   window.addEventListener('dark-tech-search-open', function(e) { ... });
+   *   window.addEventListener('dark-tech-search-close', function(e) { e.detail.reason; });
+   * or through window.DarkTechSearchPanel.on('open' | 'close', handler).
+   */
+  class SearchPanel {
+    constructor(options) {
+      this.options = Object.assign({
+        panel: '#search-form-wrap',
+        toggle: '#search-toggle',
+        close: '.search-close',
+        input: '#search-input',
+        // Clicks outside this element close the panel
+        container: '.header-search'
+      }, options);
+
+      this.state = 'closed';
+      this.$panel = $(this.options.panel);
+      this.$toggle = $(this.options.toggle);
+      this.$close = $(this.options.close);
+      this.$input = $(this.options.input);
+
+      if (!this.$panel.length) {
+        return;
+      }
+
+      this.$toggle.attr({
+        'aria-expanded': 'false',
+        'aria-controls': this.$panel.attr('id')
+      });
+      this.bindEvents();
+    }
+
+    /**
+     * Bind every trigger that opens or closes the panel
+     */
+    bindEvents() {
+      this.$toggle.on('click', (e) => {
+        e.preventDefault();
+        this.toggle();
+      });
+
+      this.$close.on('click', (e) => {
+        e.preventDefault();
+        this.close('button');
+      });
+
+      // Close on escape key, open with "/" or Ctrl+K (Cmd+K on macOS)
+      $(document).on('keydown', (e) => {
+        if (e.key === 'Escape' && this.isOpen()) {
+          this.close('escape');
+          return;
+        }
+
+        const isShortcut = (e.key === 'k' || e.key === 'K') && (e.ctrlKey || e.metaKey);
+        const isSlash = e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey && !isTyping(e.target);
+
+        if (isShortcut || isSlash) {
+          e.preventDefault();
+          if (this.isOpen()) {
+            this.$input.focus();
+          } else {
+            this.open();
+          }
+        }
+      });
+
+      // Keep Tab and Shift+Tab inside the open panel
+      this.$panel.on('keydown', (e) => {
+        if (e.key !== 'Tab') return;
+
+        const $focusable = this.$panel.find(FOCUSABLE);
+        if (!$focusable.length) return;
+
+        const first = $focusable[0];
+        const last = $focusable[$focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+          e.preventDefault();
+          last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+          e.preventDefault();
+          first.focus();
+        }
+      });
+
+      // Close when clicking outside
+      $(document).on('click', (e) => {
+        if (this.isOpen() && !$(e.target).closest(this.options.container).length) {
+          this.close('outside');
+        }
+      });
+
+      // Close when a result or any other link is followed without a page load
+      window.addEventListener('dark-tech-navigate', () => this.close('navigate'));
+    }
+
+    /**
+     * Check whether the panel is open
+     * @returns {boolean} True when open
+     */
+    isOpen() {
+      return this.state === 'open';
+    }
+
+    /**
+     * Open the panel and focus the input
+     */
+    open() {
+      if (this.state === 'open') return;
+
+      this.state = 'open';
+      this.$panel.addClass('is-open');
+      this.$toggle.attr('aria-expanded', 'true');
+      this.$input.focus();
+      this.emit('open', {});
+    }
+
+    /**
+     * Close the panel
+     * Focus returns to the toggle, except after an outside click or a
+     * navigation, where the reader has already moved on
+     * @param {string} [reason] - 'button', 'escape', 'outside', 'navigate', 'toggle' or 'api'
+     */
+    close(reason = 'api') {
+      if (this.state === 'closed') return;
+
+      this.state = 'closed';
+      this.$panel.removeClass('is-open');
+      this.$toggle.attr('aria-expanded', 'false');
+      if (reason !== 'outside' && reason !== 'navigate') {
+        this.$toggle.focus();
+      }
+      this.emit('close', { reason });
+    }
+
+    /**
+     * Open a closed panel or close an open one
+     */
+    toggle() {
+      if (this.isOpen()) {
+        this.close('toggle');
+      } else {
+        this.open();
+      }
+    }
+
+    /**
+     * Subscribe to panel state changes
+     * @param {string} type - 'open' or 'close'
+     * @param {Function} handler - Called with the event detail
+     * @returns {Function} The listener, for off()
+     */
+    on(type, handler) {
+      const listener = e => handler(e.detail);
+      window.addEventListener(`dark-tech-search-${type}`, listener);
+      return listener;
+    }
+
+    /**
+     * Remove a listener added with on()
+     * @param {string} type - 'open' or 'close'
+     * @param {Function} listener - Value returned by on()
+     */
+    off(type, listener) {
+      window.removeEventListener(`dark-tech-search-${type}`, listener);
+    }
+
+    /**
+     * Announce a state change
+     * @param {string} type - 'open' or 'close'
+     * @param {object} detail - Event detail
+     */
+    emit(type, detail) {
+      window.dispatchEvent(new CustomEvent(`dark-tech-search-${type}`, { detail }));
+    }
+  }
+
   /**
    * SearchEngine class - handles local search functionality
    */
@@ -14,20 +475,68 @@
     constructor(options) {
       this.options = Object.assign({
         searchPath: '/search.json',
+        workerPath: '/js/search-worker.js',
         searchInput: '#search-input',
         searchResults: '#search-results',
         searchToggle: '#search-toggle',
         searchFormWrap: '#search-form-wrap',
         searchClose: '.search-close',
+        // Shared SearchPanel; one is created from the selectors above if not given
+        panel: null,
+        // Enter without an active result opens the full search page (empty disables)
+        searchPagePath: '/search/',
         highlightClass: 'search-highlight',
         noResultsText: 'No results found',
         loadingText: 'Loading...',
-        minChars: 2
+        suggestionText: 'Did you mean',
+        lockedText: 'Password protected. Unlock the post to search its content.',
+        resultCountText: '{count} results available',
+        facetLimit: 5,
+        // Result links with any other scheme are not rendered as links
+        allowedSchemes: ['http:', 'https:'],
+        // Analytics callback, see the header comment; events also go out as a window CustomEvent
+        onEvent: null,
+        // Results must stay on screen this long (ms) before a query counts as issued
+        trackDelay: 1000,
+        surface: 'dropdown',
+        // Recent searches kept in localStorage and shown while the input is empty (0 disables)
+        recentSearches: 5,
+        recentStorageKey: 'dark-tech-search-recent',
+        recentTitle: 'Recent searches',
+        recentClearText: 'Clear',
+        // Excerpt length in characters, shared by up to this many fragments
+        excerptLength: 150,
+        excerptFragments: 2,
+        minChars: 2,
+        // BM25F relevance tuning; a code weight of 0 leaves code blocks out of free-text matches
+        fieldWeights: { title: 10, tags: 5, categories: 3, content: 1, code: 0.5 },
+        k1: 1.2,
+        b: 0.75,
+        // Multiplier added for the newest post, halving every recencyHalfLife days (0 disables).
+        // Reads each post's `date` in search.json, which the site's search generator
+        // must emit from the post's front-matter date; posts without one get no boost
+        recencyBoost: 0,
+        recencyHalfLife: 365,
+        // Typo-tolerant matching for terms with no exact or prefix match
+        fuzzy: true,
+        // Keep the processed index in IndexedDB between visits
+        cache: true
       }, options);
 
-      this.searchData = null;
+      this.clientId = `search-${++engineCount}`;
+      this.isReady = false;
+      this.queryId = 0;
+      this.activeFilters = [];
       this.isLoading = false;
       this.isOpen = false;
+      this.activeIndex = -1;
+      // Analytics state: the query last sent, results awaiting the settle delay
+      this.lastKeyword = '';
+      this.lastTotal = 0;
+      this.rankOffset = 0;
+      this.pendingTrack = null;
+      this.trackTimer = null;
+      this.lastTracked = null;
 
       this.init();
     }
@@ -46,25 +555,49 @@
         return;
       }
 
+      this.initAria();
       this.bindEvents();
+      this.bindPanelEvents();
     }
 
     /**
-     * Bind event handlers
+     * Set up combobox semantics so screen readers follow the active result
      */
-    bindEvents() {
-      // Toggle search form
-      this.$searchToggle.on('click', (e) => {
-        e.preventDefault();
-        this.toggleSearch();
+    initAria() {
+      const resultsId = this.$searchResults.attr('id') || 'search-results';
+      this.resultsId = resultsId;
+
+      this.$searchInput.attr({
+        'role': 'combobox',
+        'aria-autocomplete': 'list',
+        'aria-controls': resultsId,
+        'aria-expanded': 'false'
       });
 
-      // Close search
-      this.$searchClose.on('click', (e) => {
-        e.preventDefault();
-        this.closeSearch();
+      this.$searchResults.attr({
+        'id': resultsId,
+        'role': 'listbox',
+        'aria-label': this.$searchInput.attr('placeholder') || 'Search results'
       });
 
+      // Facets and filter chips sit outside the listbox so it only contains options
+      this.$searchFacets = $('<div>', {
+        'class': 'search-facets',
+        'aria-label': 'Filter results'
+      }).insertBefore(this.$searchResults);
+
+      // Polite live region announcing the result count
+      this.$status = $('<div>', {
+        'class': 'sr-only',
+        'role': 'status',
+        'aria-live': 'polite'
+      }).appendTo(this.$searchFormWrap);
+    }
+
+    /**
+     * Bind event handlers
+     */
+    bindEvents() {
       // Handle input changes with debounce
       let debounceTimer;
       this.$searchInput.on('input', (e) => {
@@ -74,137 +607,271 @@
         }, 200);
       });
 
-      // Prevent form submission
-      this.$searchInput.closest('form').on('submit', (e) => {
-        e.preventDefault();
+      // Move through results with the arrow keys, open the active one with Enter
+      this.$searchInput.on('keydown', (e) => {
+        const count = this.getResultItems().length;
+
+        if (e.key === 'ArrowDown' && count) {
+          e.preventDefault();
+          this.setActive(this.activeIndex + 1 >= count ? 0 : this.activeIndex + 1);
+        } else if (e.key === 'ArrowUp' && count) {
+          e.preventDefault();
+          this.setActive(this.activeIndex <= 0 ? count - 1 : this.activeIndex - 1);
+        } else if (e.key === 'Enter' && this.activeIndex !== -1) {
+          e.preventDefault();
+          const $item = this.getResultItems().eq(this.activeIndex);
+          this.selectItem($item);
+          if ($item.attr('href')) {
+            goTo($item.attr('href'));
+          }
+        }
       });
 
-      // Close on escape key
-      $(document).on('keydown', (e) => {
-        if (e.key === 'Escape' && this.isOpen) {
-          this.closeSearch();
+      this.$searchResults.on('click', '.search-result-item', (e) => {
+        // Recent searches are replaced when chosen, so keep the outside-click check from seeing them
+        if ($(e.currentTarget).is('[data-query]')) {
+          e.preventDefault();
+          e.stopPropagation();
         }
+        this.selectItem($(e.currentTarget));
       });
 
-      // Close when clicking outside
-      $(document).on('click', (e) => {
-        if (this.isOpen && 
-            !$(e.target).closest('.header-search').length) {
-          this.closeSearch();
+      this.$searchFacets.on('click', '.search-recent-clear', (e) => {
+        e.stopPropagation();
+        this.clearRecentSearches();
+        this.renderRecent();
+        this.$searchInput.focus();
+      });
+
+      // Keep the active option in sync with the pointer
+      this.$searchResults.on('mousemove', '.search-result-item', (e) => {
+        const index = this.getResultItems().index(e.currentTarget);
+        if (index !== this.activeIndex) {
+          this.setActive(index);
         }
       });
+
+      // Narrow by a facet, or remove an active filter chip. Both re-render
+      // the facets, so keep the outside-click check from seeing the old button.
+      this.$searchFacets.on('click', '.search-facet', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const $facet = $(e.currentTarget);
+        this.activeFilters.push({ field: $facet.attr('data-field'), value: $facet.attr('data-value') });
+        this.applyFilters();
+      });
+
+      this.$searchFacets.on('click', '.search-filter-chip', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.activeFilters.splice(Number($(e.currentTarget).attr('data-index')), 1);
+        this.applyFilters();
+        this.$searchInput.focus();
+      });
+
+      // Run the "Did you mean" suggestion
+      this.$searchResults.on('click', '.search-suggestion-link', (e) => {
+        // The link is replaced by the new results, so keep the outside-click check from seeing it
+        e.preventDefault();
+        e.stopPropagation();
+        const query = $(e.currentTarget).attr('data-query');
+        this.$searchInput.val(query).focus();
+        this.handleSearch(query);
+      });
+
+      // Submitting runs the search without a page load
+      this.$searchInput.closest('form').on('submit', (e) => {
+        e.preventDefault();
+        this.submitSearch();
+      });
+    }
+
+    /**
+     * Follow the header panel, which owns opening and closing
+     */
+    bindPanelEvents() {
+      this.panel = this.options.panel || new SearchPanel({
+        panel: this.options.searchFormWrap,
+        toggle: this.options.searchToggle,
+        close: this.options.searchClose,
+        input: this.options.searchInput
+      });
+
+      this.panel.on('open', () => this.handleOpen());
+      this.panel.on('close', () => this.handleClose());
+    }
+
+    /**
+     * Get the rendered result options
+     * @returns {jQuery} Result items
+     */
+    getResultItems() {
+      return this.$searchResults.find('.search-result-item');
+    }
+
+    /**
+     * Mark a result as active and expose it through aria-activedescendant
+     * @param {number} index - Result index, or -1 for none
+     */
+    setActive(index) {
+      const $items = this.getResultItems();
+      $items.removeClass('is-active').attr('aria-selected', 'false');
+
+      this.activeIndex = index;
+      if (index < 0 || index >= $items.length) {
+        this.activeIndex = -1;
+        this.$searchInput.removeAttr('aria-activedescendant');
+        return;
+      }
+
+      const $active = $items.eq(index);
+      $active.addClass('is-active').attr('aria-selected', 'true');
+      this.$searchInput.attr('aria-activedescendant', $active.attr('id'));
+
+      // Keep the active option visible inside the scrolling list
+      if ($active[0].scrollIntoView) {
+        $active[0].scrollIntoView({ block: 'nearest' });
+      }
+    }
+
+    /**
+     * Update listbox state after results change
+     * @param {number} count - Number of results shown
+     */
+    updateListState(count) {
+      this.setActive(-1);
+      this.$searchInput.attr('aria-expanded', count > 0 ? 'true' : 'false');
+      if (this.$status) {
+        this.$status.text(count > 0 || this.$searchResults.children().length
+          ? this.options.resultCountText.replace('{count}', count)
+          : '');
+      }
     }
 
     /**
      * Toggle search form visibility
      */
     toggleSearch() {
-      if (this.isOpen) {
-        this.closeSearch();
-      } else {
-        this.openSearch();
-      }
+      this.panel.toggle();
     }
 
     /**
      * Open search form
      */
     openSearch() {
+      this.panel.open();
+    }
+
+    /**
+     * Close search form
+     */
+    closeSearch() {
+      this.panel.close();
+    }
+
+    /**
+     * Prepare results when the panel opens
+     */
+    handleOpen() {
       this.isOpen = true;
-      this.$searchFormWrap.addClass('is-open');
-      this.$searchInput.focus();
-      
+
       // Load search data if not already loaded
-      if (!this.searchData && !this.isLoading) {
+      if (!this.isReady && !this.isLoading) {
         this.loadSearchData();
       }
+
+      if (!this.$searchInput.val()) {
+        this.renderRecent();
+      }
     }
 
     /**
-     * Close search form and clear results
+     * Clear results once the panel has closed
      * Requirement 4.5: Clear search and restore original state
      */
-    closeSearch() {
+    handleClose() {
+      this.flushTracking();
       this.isOpen = false;
-      this.$searchFormWrap.removeClass('is-open');
       this.$searchInput.val('');
+      this.cancelSearch();
+      this.activeFilters = [];
       this.$searchResults.empty();
+      this.renderFacets(null, 0);
+      this.updateListState(0);
     }
 
     /**
-     * Load search index data
+     * Connect to the search worker, which fetches and indexes the data
      */
-    async loadSearchData() {
+    loadSearchData() {
       this.isLoading = true;
-      this.$searchResults.html(`<div class="search-loading">${this.options.loadingText}</div>`);
-
-      try {
-        const response = await fetch(this.options.searchPath);
-        if (!response.ok) {
-          throw new Error('Failed to load search data');
-        }
-        const data = await response.json();
-        this.searchData = this.processSearchData(data);
-        this.$searchResults.empty();
-        
-        // If there's already input, perform search
-        const currentValue = this.$searchInput.val();
-        if (currentValue && currentValue.length >= this.options.minChars) {
-          this.handleSearch(currentValue);
-        }
-      } catch (error) {
-        console.error('Search data load error:', error);
-        this.$searchResults.html('<div class="search-error">Failed to load search data</div>');
-      } finally {
-        this.isLoading = false;
-      }
+      this.$searchResults.empty().append($('<div>', { 'class': 'search-loading' }).text(this.options.loadingText));
+      workerHub.connect(this);
     }
 
     /**
-     * Process raw search data into searchable format
+     * Handle a message from the search worker
+     * @param {object} message - Worker message, see js/search-worker.js
      */
-    processSearchData(data) {
-      // Handle different data formats from hexo-generator-search
-      const posts = Array.isArray(data) ? data : (data.posts || []);
-      
-      return posts.map(post => ({
-        title: post.title || '',
-        url: post.url || post.path || '',
-        content: this.stripHtml(post.content || ''),
-        tags: this.extractTags(post.tags),
-        categories: this.extractCategories(post.categories)
-      }));
-    }
+    handleWorkerMessage(message) {
+      switch (message.type) {
+        case 'ready':
+          if (this.isReady) break;
+          this.isReady = true;
+          this.isLoading = false;
 
-    /**
-     * Strip HTML tags from content
-     */
-    stripHtml(html) {
-      const tmp = document.createElement('div');
-      tmp.innerHTML = html;
-      return tmp.textContent || tmp.innerText || '';
+          // Run whatever is already typed, or show recent searches if nothing is
+          if (this.isOpen) {
+            this.handleSearch(this.$searchInput.val() || '');
+          } else {
+            this.$searchResults.empty();
+          }
+          break;
+
+        case 'updated':
+          // The site was rebuilt since the cached index; refresh what's on screen
+          this.refreshResults();
+          break;
+
+        case 'unlocked':
+          this.refreshResults();
+          break;
+
+        case 'results':
+          // Drop replies to queries the user has already typed past
+          if (message.id === this.queryId) {
+            this.lastTotal = message.results.length;
+            this.renderResults(message.results, message.text, message.suggestion);
+            this.renderFacets(message.facets, message.results.length);
+            this.trackResults(message.suggestion);
+          }
+          break;
+
+        case 'error':
+          if (message.id === this.queryId) {
+            console.error('Search query error:', message.message);
+          }
+          break;
+      }
     }
 
     /**
-     * Extract tag names from tags data
+     * Re-run the current query after the index changed
      */
-    extractTags(tags) {
-      if (!tags) return [];
-      if (Array.isArray(tags)) {
-        return tags.map(tag => typeof tag === 'string' ? tag : (tag.name || ''));
+    refreshResults() {
+      const currentValue = this.$searchInput.val();
+      if (this.isOpen && currentValue && currentValue.trim().length >= this.options.minChars) {
+        this.handleSearch(currentValue);
       }
-      return [];
     }
 
     /**
-     * Extract category names from categories data
+     * Report a failure to load or index the search data
+     * @param {Error} error - The failure
      */
-    extractCategories(categories) {
-      if (!categories) return [];
-      if (Array.isArray(categories)) {
-        return categories.map(cat => typeof cat === 'string' ? cat : (cat.name || ''));
-      }
-      return [];
+    handleLoadError(error) {
+      this.isLoading = false;
+      this.$searchResults.html('<div class="search-error">Failed to load search data</div>');
     }
 
     /**
@@ -216,151 +883,651 @@
 
       // Clear results if keyword is too short
       if (keyword.length < this.options.minChars) {
+        this.cancelSearch();
         this.$searchResults.empty();
+        this.renderFacets(null, 0);
+        this.updateListState(0);
+        if (!keyword) {
+          this.renderRecent();
+        }
         return;
       }
 
-      // Wait for data to load
-      if (!this.searchData) {
+      // Wait for data to load; the ready handler re-runs the current input
+      if (!this.isReady) {
         if (!this.isLoading) {
           this.loadSearchData();
         }
         return;
       }
 
-      const results = this.search(keyword);
-      this.renderResults(results, keyword);
+      this.search(keyword);
     }
 
     /**
-     * Search through posts
+     * Send a query to the worker
      * Requirement 4.2: Search in title, content, and tags
+     * @param {string} keyword - Raw query string
      */
     search(keyword) {
-      const keywordLower = keyword.toLowerCase();
-      const results = [];
-
-      for (const post of this.searchData) {
-        const titleMatch = post.title.toLowerCase().includes(keywordLower);
-        const contentMatch = post.content.toLowerCase().includes(keywordLower);
-        const tagMatch = post.tags.some(tag => 
-          tag.toLowerCase().includes(keywordLower)
-        );
-        const categoryMatch = post.categories.some(cat => 
-          cat.toLowerCase().includes(keywordLower)
-        );
+      this.lastKeyword = keyword;
+      this.queryId = workerHub.nextId();
+      workerHub.post({
+        type: 'search',
+        client: this.clientId,
+        id: this.queryId,
+        keyword,
+        filters: this.activeFilters,
+        excerpt: { length: this.options.excerptLength, fragments: this.options.excerptFragments }
+      });
+    }
 
-        if (titleMatch || contentMatch || tagMatch || categoryMatch) {
-          // Calculate relevance score
-          let score = 0;
-          if (titleMatch) score += 10;
-          if (tagMatch) score += 5;
-          if (categoryMatch) score += 3;
-          if (contentMatch) score += 1;
-
-          results.push({
-            ...post,
-            score,
-            matchedIn: {
-              title: titleMatch,
-              content: contentMatch,
-              tags: tagMatch,
-              categories: categoryMatch
-            }
-          });
-        }
-      }
+    /**
+     * Abandon the in-flight query so its results are never rendered
+     */
+    cancelSearch() {
+      this.queryId = workerHub.nextId();
+      workerHub.post({ type: 'cancel', client: this.clientId, id: this.queryId });
+    }
 
-      // Sort by relevance score
-      results.sort((a, b) => b.score - a.score);
+    /**
+     * Re-run the query after the facet filters changed
+     */
+    applyFilters() {
+      this.refreshResults();
+    }
 
-      return results;
+    /**
+     * Handle form submission
+     * Opens the full search page with the current query and filters
+     */
+    submitSearch() {
+      const keyword = this.$searchInput.val().trim();
+      if (!this.options.searchPagePath || keyword.length < this.options.minChars) {
+        return;
+      }
+      goTo(this.options.searchPagePath + buildSearchQueryString(keyword, this.activeFilters));
     }
 
     /**
      * Render search results
      * Requirement 4.3: Highlight matching keywords
      * Requirement 4.4: Show friendly message when no results
+     * Everything taken from post data is inserted as text nodes, never as markup
      */
-    renderResults(results, keyword) {
+    renderResults(results, keyword, suggestion) {
       if (results.length === 0) {
-        this.$searchResults.html(
-          `<div class="search-no-results">
-            <i class="fas fa-search"></i>
-            <p>${this.options.noResultsText}</p>
-            <p class="search-suggestion">Try different keywords</p>
-          </div>`
+        const $suggestion = $('<p>', { 'class': 'search-suggestion' });
+        if (suggestion) {
+          $suggestion.append(
+            document.createTextNode(`${this.options.suggestionText} `),
+            $('<a>', { 'href': '#', 'class': 'search-suggestion-link', 'data-query': suggestion }).text(suggestion),
+            document.createTextNode('?')
+          );
+        } else {
+          $suggestion.text('Try different keywords');
+        }
+
+        this.$searchResults.empty().append(
+          $('<div>', { 'class': 'search-no-results' }).append(
+            $('<i>', { 'class': 'fas fa-search' }),
+            $('<p>').text(this.options.noResultsText),
+            $suggestion
+          )
         );
+        this.updateListState(0);
         return;
       }
 
-      const html = results.map(result => {
-        const highlightedTitle = this.highlight(result.title, keyword);
-        const excerpt = this.getExcerpt(result.content, keyword);
-        const highlightedExcerpt = this.highlight(excerpt, keyword);
-        
-        // Build tags HTML if matched
-        let tagsHtml = '';
+      const items = results.map((result, index) => {
+        const isLocked = result.encrypted && !result.unlocked;
+        const href = this.safeUrl(result.url);
+
+        const $title = $('<div>', { 'class': 'search-result-title' });
+        if (result.encrypted) {
+          $title.append(
+            $('<i>', { 'class': `fas ${isLocked ? 'fa-lock' : 'fa-lock-open'} search-result-lock`, 'aria-label': 'Encrypted' }),
+            ' '
+          );
+        }
+        $title.append(this.highlight(result.title, result.highlights.title));
+
+        const $excerpt = $('<div>', { 'class': 'search-result-excerpt' }).append(isLocked
+          ? $('<span>', { 'class': 'search-result-locked' }).text(this.options.lockedText)
+          : this.getExcerpt(result.highlights.excerpt));
+
+        const $item = $('<a>', {
+          'class': 'search-result-item',
+          'id': `${this.resultsId}-option-${index}`,
+          'role': 'option',
+          'aria-selected': 'false',
+          'data-rank': this.rankOffset + index + 1
+        }).append($title, $excerpt);
+
+        // Unsafe URLs render as an inert option rather than a link
+        if (href) {
+          $item.attr('href', href);
+        }
+
         if (result.tags.length > 0) {
-          const highlightedTags = result.tags
-            .slice(0, 3)
-            .map(tag => `<span class="search-result-tag">${this.highlight(tag, keyword)}</span>`)
-            .join('');
-          tagsHtml = `<div class="search-result-tags">${highlightedTags}</div>`;
+          $('<div>', { 'class': 'search-result-tags' })
+            .append(result.tags.slice(0, 3).map((tag, i) =>
+              $('<span>', { 'class': 'search-result-tag' }).append(this.highlight(tag, result.highlights.tags[i]))))
+            .appendTo($item);
+        }
+
+        return $item;
+      });
+
+      this.$searchResults.empty().append(items);
+      this.updateListState(results.length);
+    }
+
+    /**
+     * Act on a chosen option: run a recent search or report a result click
+     * Navigation itself is left to the link or the Enter handler
+     * @param {jQuery} $item - Chosen option
+     */
+    selectItem($item) {
+      const recent = $item.attr('data-query');
+      if (recent !== undefined) {
+        this.$searchInput.val(recent).focus();
+        this.handleSearch(recent);
+        return;
+      }
+
+      // Report the query first, so a click always follows its query event
+      this.flushTracking();
+      this.emit('result-click', {
+        query: this.lastKeyword,
+        url: $item.attr('href') || null,
+        title: $item.find('.search-result-title').text().trim(),
+        rank: Number($item.attr('data-rank')),
+        total: this.lastTotal
+      });
+    }
+
+    /**
+     * Send an analytics event to the configured callback and as a window event
+     * @param {string} type - Event type, see the header comment
+     * @param {object} detail - Event fields
+     */
+    emit(type, detail) {
+      const event = Object.assign({ type, surface: this.options.surface, timestamp: Date.now() }, detail);
+
+      if (typeof this.options.onEvent === 'function') {
+        try {
+          this.options.onEvent(event);
+        } catch (error) {
+          console.error('Search event handler error:', error);
         }
+      }
+      window.dispatchEvent(new CustomEvent(SEARCH_EVENT, { detail: event }));
+    }
+
+    /**
+     * Queue a query event for the results on screen
+     * Waiting for results to settle keeps every keystroke from counting as a search
+     * @param {string|null} suggestion - Spelling suggestion, if any
+     */
+    trackResults(suggestion) {
+      clearTimeout(this.trackTimer);
+      this.pendingTrack = {
+        query: this.lastKeyword,
+        filters: this.activeFilters.map(filter => Object.assign({}, filter)),
+        total: this.lastTotal,
+        suggestion: suggestion || null
+      };
+      this.trackTimer = setTimeout(() => this.flushTracking(), this.options.trackDelay);
+    }
+
+    /**
+     * Emit the queued query event now
+     * Repeats of the last reported query and filters are skipped
+     */
+    flushTracking() {
+      clearTimeout(this.trackTimer);
+      const pending = this.pendingTrack;
+      this.pendingTrack = null;
+      if (!pending) return;
+
+      const key = JSON.stringify([pending.query, pending.filters]);
+      if (key === this.lastTracked) return;
+      this.lastTracked = key;
+
+      this.emit('query', { query: pending.query, filters: pending.filters, total: pending.total });
+      if (pending.total === 0) {
+        this.emit('zero-results', { query: pending.query, filters: pending.filters, suggestion: pending.suggestion });
+      } else {
+        this.addRecentSearch(pending.query);
+      }
+    }
+
+    /**
+     * Read the recent searches list
+     * @returns {string[]} Queries, newest first
+     */
+    getRecentSearches() {
+      if (!this.options.recentSearches) return [];
+      try {
+        const stored = JSON.parse(window.localStorage.getItem(this.options.recentStorageKey));
+        return Array.isArray(stored)
+          ? stored.filter(query => typeof query === 'string').slice(0, this.options.recentSearches)
+          : [];
+      } catch (e) {
+        // Storage disabled or unreadable
+        return [];
+      }
+    }
+
+    /**
+     * Move a query to the top of the recent searches list
+     * @param {string} query - Query that returned results
+     */
+    addRecentSearch(query) {
+      if (!this.options.recentSearches || !query) return;
+
+      const recent = this.getRecentSearches().filter(item => item.toLowerCase() !== query.toLowerCase());
+      recent.unshift(query);
+      try {
+        window.localStorage.setItem(this.options.recentStorageKey,
+          JSON.stringify(recent.slice(0, this.options.recentSearches)));
+      } catch (e) {
+        // Storage full or disabled; recent searches are a convenience only
+      }
+    }
+
+    /**
+     * Forget all recent searches
+     */
+    clearRecentSearches() {
+      try {
+        window.localStorage.removeItem(this.options.recentStorageKey);
+      } catch (e) {
+        // Storage disabled
+      }
+    }
+
+    /**
+     * Show recent searches as options while the input is empty
+     */
+    renderRecent() {
+      const recent = this.getRecentSearches();
+      this.$searchResults.empty();
+      this.$searchFacets.empty();
+
+      if (recent.length) {
+        this.$searchFacets.append(
+          $('<div>', { 'class': 'search-recent-header' }).append(
+            $('<span>').text(this.options.recentTitle),
+            $('<button>', { 'class': 'search-recent-clear', 'type': 'button' }).text(this.options.recentClearText)
+          )
+        );
+
+        this.$searchResults.append(recent.map((query, index) =>
+          $('<a>', {
+            'class': 'search-result-item search-recent-item',
+            'id': `${this.resultsId}-option-${index}`,
+            'role': 'option',
+            'aria-selected': 'false',
+            'data-query': query
+          }).append(
+            $('<i>', { 'class': 'fas fa-history', 'aria-hidden': 'true' }),
+            $('<span>').text(query)
+          )));
+      }
+
+      this.updateListState(recent.length);
+    }
+
+    /**
+     * Check a result URL against the allowed schemes
+     * Relative URLs resolve against the current page
+     * @param {string} url - URL from the search data
+     * @returns {string|null} The URL if it is safe to link to, otherwise null
+     */
+    safeUrl(url) {
+      if (typeof url !== 'string' || !url) return null;
+
+      let parsed;
+      try {
+        parsed = new URL(url, window.location.href);
+      } catch (e) {
+        return null;
+      }
+      return this.options.allowedSchemes.includes(parsed.protocol) ? url : null;
+    }
 
-        return `
-          <a href="${result.url}" class="search-result-item">
-            <div class="search-result-title">${highlightedTitle}</div>
-            <div class="search-result-excerpt">${highlightedExcerpt}</div>
-            ${tagsHtml}
-          </a>
-        `;
-      }).join('');
+    /**
+     * Render active filter chips and facet counts for the current results
+     * Built as DOM nodes, since tag and category names come from post data
+     * @param {object|null} facets - { categories, tags } from the worker
+     * @param {number} total - Number of results
+     */
+    renderFacets(facets, total) {
+      this.$searchFacets.empty();
+      if (!facets || (!total && !this.activeFilters.length)) return;
 
-      this.$searchResults.html(html);
+      const icons = { categories: 'fa-folder', tags: 'fa-tag' };
+
+      if (this.activeFilters.length) {
+        const $chips = $('<div>', { 'class': 'search-filter-chips' });
+        this.activeFilters.forEach((filter, index) => {
+          $('<button>', {
+            'class': 'search-filter-chip',
+            'type': 'button',
+            'data-index': index,
+            'aria-label': `Remove filter ${filter.value}`
+          })
+            .append($('<i>', { 'class': `fas ${icons[filter.field]}` }))
+            .append(document.createTextNode(` ${filter.value} `))
+            .append($('<i>', { 'class': 'fas fa-times' }))
+            .appendTo($chips);
+        });
+        this.$searchFacets.append($chips);
+      }
+
+      ['categories', 'tags'].forEach((field) => {
+        const values = facets[field]
+          .filter(facet => !this.activeFilters.some(f => f.field === field && f.value === facet.value))
+          .slice(0, this.options.facetLimit);
+        if (!values.length) return;
+
+        const $group = $('<div>', { 'class': 'search-facet-group' })
+          .append($('<i>', { 'class': `fas ${icons[field]}`, 'aria-hidden': 'true' }));
+
+        values.forEach((facet, index) => {
+          if (index > 0) {
+            $group.append($('<span>', { 'class': 'search-facet-separator', 'aria-hidden': 'true' }).text('\u00b7'));
+          }
+          $('<button>', {
+            'class': 'search-facet',
+            'type': 'button',
+            'data-field': field,
+            'data-value': facet.value
+          })
+            .text(`${facet.value} (${facet.count})`)
+            .appendTo($group);
+        });
+
+        this.$searchFacets.append($group);
+      });
     }
 
     /**
-     * Highlight keyword in text
+     * Highlight matched words in text
      * Requirement 4.3: Highlight matching keywords
+     * @param {string} text - Plain text
+     * @param {Array<number[]>} ranges - Sorted [start, end) offsets from the worker
+     * @returns {DocumentFragment} Text nodes with each range wrapped in <mark>
+     */
+    highlight(text, ranges) {
+      const fragment = document.createDocumentFragment();
+      text = String(text || '');
+
+      let last = 0;
+      (ranges || []).forEach(([start, end]) => {
+        // Ranges come from another thread; never trust them to be in bounds
+        start = Math.max(last, Math.min(start, text.length));
+        end = Math.max(start, Math.min(end, text.length));
+        if (start === end) return;
+
+        fragment.appendChild(document.createTextNode(text.substring(last, start)));
+        const mark = document.createElement('mark');
+        mark.className = this.options.highlightClass;
+        mark.textContent = text.substring(start, end);
+        fragment.appendChild(mark);
+        last = end;
+      });
+      fragment.appendChild(document.createTextNode(text.substring(last)));
+
+      return fragment;
+    }
+
+    /**
+     * Build highlighted excerpt fragments, marking elided text with ellipses
+     * @param {object[]} fragments - { text, ranges, truncatedStart, truncatedEnd } from the worker
+     * @returns {jQuery[]} Fragment elements
+     */
+    getExcerpt(fragments) {
+      return (fragments || []).map((fragment, index) =>
+        $('<span>', { 'class': 'search-result-fragment' }).append(
+          document.createTextNode((index > 0 ? ' ' : '') + (fragment.truncatedStart ? '...' : '')),
+          this.highlight(fragment.text, fragment.ranges),
+          document.createTextNode(fragment.truncatedEnd ? '...' : '')
+        ));
+    }
+  }
+
+  /**
+   * Full-page search at /search/
+   * Keeps the query, filters and page in the URL so a search can be linked,
+   * bookmarked and restored with the back and forward buttons
+   */
+  class SearchPage extends SearchEngine {
+    constructor(options) {
+      super(Object.assign({
+        searchInput: '#search-page-input',
+        searchResults: '#search-page-results',
+        searchFormWrap: '#search-page',
+        searchToggle: null,
+        searchClose: null,
+        searchPagePath: '',
+        pagination: '#search-page-pagination',
+        surface: 'page',
+        pageSize: 10,
+        excerptLength: 300,
+        excerptFragments: 3,
+        prevText: '上一页',
+        nextText: '下一页'
+      }, options));
+    }
+
+    /**
+     * Initialize the page and run the search described by the URL
+     */
+    init() {
+      this.$pagination = $(this.options.pagination);
+      this.page = 1;
+      this.currentQuery = '';
+      this.lastSearch = null;
+
+      super.init();
+      if (!this.$searchInput.length) {
+        return;
+      }
+
+      // The results list is always visible here
+      this.isOpen = true;
+      this.readState();
+      this.loadSearchData();
+    }
+
+    /**
+     * Bind history and pagination handlers in place of the dropdown ones
+     */
+    bindPanelEvents() {
+      this.onPopState = () => {
+        this.readState();
+        this.handleSearch(this.$searchInput.val());
+      };
+      window.addEventListener('popstate', this.onPopState);
+
+      this.$pagination.on('click', 'a[data-page]', (e) => {
+        e.preventDefault();
+        this.goToPage(Number($(e.currentTarget).attr('data-page')));
+      });
+    }
+
+    /**
+     * Detach from the window and the worker once client-side navigation
+     * has replaced the page
+     */
+    destroy() {
+      this.flushTracking();
+      window.removeEventListener('popstate', this.onPopState);
+      workerHub.disconnect(this);
+    }
+
+    /**
+     * Load the query, filters and page from the URL
+     */
+    readState() {
+      const params = new URLSearchParams(window.location.search);
+
+      this.currentQuery = (params.get('q') || '').trim();
+      this.$searchInput.val(this.currentQuery);
+
+      this.activeFilters = [];
+      Object.keys(FILTER_PARAMS).forEach((field) => {
+        params.getAll(FILTER_PARAMS[field]).forEach((value) => {
+          this.activeFilters.push({ field, value });
+        });
+      });
+
+      this.page = Math.max(1, parseInt(params.get('page'), 10) || 1);
+    }
+
+    /**
+     * Write the current state to the URL
+     * @param {boolean} push - Add a history entry instead of replacing the current one
      */
-    highlight(text, keyword) {
-      if (!text || !keyword) return text;
-      
-      // Escape special regex characters in keyword
-      const escapedKeyword = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      const regex = new RegExp(`(${escapedKeyword})`, 'gi');
-      
-      return text.replace(regex, `<mark class="${this.options.highlightClass}">$1</mark>`);
+    writeState(push) {
+      const url = window.location.pathname +
+        buildSearchQueryString(this.currentQuery, this.activeFilters, this.page);
+      if (url === window.location.pathname + window.location.search) return;
+
+      if (push) {
+        window.history.pushState(null, '', url);
+      } else {
+        // Keep what else the entry holds, such as the scroll position pjax.js saves
+        window.history.replaceState(window.history.state, '', url);
+      }
     }
 
     /**
-     * Get excerpt around keyword match
+     * Handle search input
+     * Typing replaces the history entry rather than adding one per keystroke
      */
-    getExcerpt(content, keyword, maxLength = 150) {
-      if (!content) return '';
-      
-      const keywordLower = keyword.toLowerCase();
-      const contentLower = content.toLowerCase();
-      const index = contentLower.indexOf(keywordLower);
+    handleSearch(keyword) {
+      const query = keyword.trim();
+      if (query !== this.currentQuery) {
+        this.currentQuery = query;
+        this.page = 1;
+        this.writeState(false);
+      }
 
-      if (index === -1) {
-        // No match in content, return beginning
-        return content.substring(0, maxLength) + (content.length > maxLength ? '...' : '');
+      super.handleSearch(keyword);
+      if (query.length < this.options.minChars) {
+        this.lastSearch = null;
+        this.$pagination.empty();
       }
+    }
 
-      // Calculate excerpt boundaries
-      const start = Math.max(0, index - 50);
-      const end = Math.min(content.length, index + keyword.length + 100);
-      
-      let excerpt = content.substring(start, end);
-      
-      // Add ellipsis if needed
-      if (start > 0) excerpt = '...' + excerpt;
-      if (end < content.length) excerpt = excerpt + '...';
+    /**
+     * Run the search right away instead of leaving the page
+     */
+    submitSearch() {
+      this.handleSearch(this.$searchInput.val());
+    }
+
+    /**
+     * Record a facet change as a new history entry
+     */
+    applyFilters() {
+      this.page = 1;
+      this.writeState(true);
+      this.refreshResults();
+    }
+
+    /**
+     * Show a page of results
+     * @param {number} page - Page number, starting at 1
+     */
+    goToPage(page) {
+      if (!this.lastSearch || page === this.page) return;
+
+      this.page = page;
+      this.writeState(true);
 
-      return excerpt;
+      const { results, keyword, suggestion } = this.lastSearch;
+      this.renderResults(results, keyword, suggestion);
+
+      if (this.$searchFormWrap[0].scrollIntoView) {
+        this.$searchFormWrap[0].scrollIntoView({ block: 'start' });
+      }
+    }
+
+    /**
+     * Render the current page of results and the pagination links
+     */
+    renderResults(results, keyword, suggestion) {
+      this.lastSearch = { results, keyword, suggestion };
+
+      const pageSize = this.options.pageSize;
+      const pageCount = Math.max(1, Math.ceil(results.length / pageSize));
+      if (this.page > pageCount) {
+        // A shared link can outlive the results it pointed at
+        this.page = pageCount;
+        this.writeState(false);
+      }
+
+      const start = (this.page - 1) * pageSize;
+      this.rankOffset = start;
+      super.renderResults(results.slice(start, start + pageSize), keyword, suggestion);
+      this.renderPagination(pageCount);
+
+      // Announce the total, not just the results on this page
+      if (results.length) {
+        this.$status.text(this.options.resultCountText.replace('{count}', results.length));
+      }
+    }
+
+    /**
+     * Render pagination links in the theme's archive pagination markup
+     * @param {number} pageCount - Total number of pages
+     */
+    renderPagination(pageCount) {
+      this.$pagination.empty();
+      if (pageCount <= 1) return;
+
+      const current = this.page;
+      const link = (page, className) => $('<a>', {
+        'class': className,
+        'href': window.location.pathname +
+          buildSearchQueryString(this.currentQuery, this.activeFilters, page),
+        'data-page': page
+      });
+
+      if (current > 1) {
+        link(current - 1, 'extend prev')
+          .attr('rel', 'prev')
+          .append($('<i>', { 'class': 'fas fa-chevron-left' }), ' ', $('<span>').text(this.options.prevText))
+          .appendTo(this.$pagination);
+      }
+
+      // First, last and two pages either side of the current one
+      let previous = 0;
+      for (let page = 1; page <= pageCount; page++) {
+        if (page !== 1 && page !== pageCount && Math.abs(page - current) > 2) continue;
+
+        if (page - previous > 1) {
+          $('<span>', { 'class': 'space' }).html('&hellip;').appendTo(this.$pagination);
+        }
+        if (page === current) {
+          $('<span>', { 'class': 'page-number current', 'aria-current': 'page' }).text(page).appendTo(this.$pagination);
+        } else {
+          link(page, 'page-number').text(page).appendTo(this.$pagination);
+        }
+        previous = page;
+      }
+
+      if (current < pageCount) {
+        link(current + 1, 'extend next')
+          .attr('rel', 'next')
+          .append($('<span>').text(this.options.nextText), ' ', $('<i>', { 'class': 'fas fa-chevron-right' }))
+          .appendTo(this.$pagination);
+      }
     }
   }
 
@@ -368,10 +1535,39 @@
   $(document).ready(function() {
     // Get search path from theme config or use default
     const searchPath = window.searchConfig?.path || '/search.json';
+    const workerPath = window.searchConfig?.worker || '/js/search-worker.js';
     
-    new SearchEngine({
-      searchPath: searchPath
+    const onEvent = window.searchConfig?.onEvent || null;
+
+    const engine = new SearchEngine({
+      searchPath: searchPath,
+      workerPath: workerPath,
+      onEvent: onEvent
     });
+    window.DarkTechSearchPanel = engine.panel;
+
+    // Full-page search shares the header's worker and index. The page can
+    // also be swapped in and out by js/pjax.js, so follow mounted content.
+    let searchPage = null;
+    const mountSearchPage = (root) => {
+      if (searchPage && !document.body.contains(searchPage.$searchInput[0])) {
+        searchPage.destroy();
+        searchPage = null;
+      }
+      if (searchPage || !$(root).find('#search-page').addBack('#search-page').length) return;
+
+      searchPage = new SearchPage({
+        searchPath: searchPath,
+        workerPath: workerPath,
+        onEvent: onEvent
+      });
+    };
+
+    if (window.DarkTechTheme) {
+      window.DarkTechTheme.onContentMounted(mountSearchPage);
+    } else {
+      mountSearchPage(document.body);
+    }
   });
 
 })(jQuery);
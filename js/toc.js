@@ -0,0 +1,261 @@
+/**
+ * Table of Contents for Dark Tech Theme
+ * Builds a table of contents from the h2/h3 headings of .article-entry and
+ * highlights the section being read. It sits at the top of #sidebar on wide
+ * screens and, collapsed, above the article on narrow ones, where the
+ * sidebar drops below the content.
+ *
+ * Rebuilt whenever content is mounted (see the content lifecycle in
+ * main.js), so decrypted posts and pages swapped in by pjax.js get one too.
+ */
+
+(function($) {
+  'use strict';
+
+  var Toc = {
+    // Configuration
+    config: {
+      headings: 'h2[id], h3[id]',
+      // Fewer headings than this don't need a table of contents
+      minHeadings: 2,
+      // Matches the breakpoint where the sidebar moves beside the content
+      wideQuery: '(min-width: 1024px)',
+      titleText: '目录',
+      label: '文章目录'
+    },
+
+    // Table of contents element, null when the page has none
+    $toc: null,
+
+    // Headings linked from the table of contents, in document order
+    headings: [],
+    $links: $(),
+    activeIndex: -1,
+
+    // 'sidebar' or 'inline'
+    placement: null,
+
+    isScheduled: false,
+    media: null,
+
+    /**
+     * Initialize the table of contents
+     */
+    init: function() {
+      var self = this;
+
+      this.media = window.matchMedia ? window.matchMedia(this.config.wideQuery) : null;
+      this.bindEvents();
+
+      // Headings change when a post is decrypted or a page is swapped in
+      if (window.DarkTechTheme) {
+        window.DarkTechTheme.onContentMounted(function() {
+          self.build();
+        });
+      } else {
+        this.build();
+      }
+    },
+
+    /**
+     * Bind event handlers
+     */
+    bindEvents: function() {
+      var self = this;
+
+      $(window).on('scroll resize', function() {
+        self.scheduleUpdate();
+      });
+
+      if (this.media) {
+        var onChange = function() {
+          self.place();
+        };
+        // Older Safari only has addListener
+        if (this.media.addEventListener) {
+          this.media.addEventListener('change', onChange);
+        } else if (this.media.addListener) {
+          this.media.addListener(onChange);
+        }
+      }
+
+      $(document).on('click', '.toc-toggle', function() {
+        self.setCollapsed(!self.$toc.hasClass('is-collapsed'));
+      });
+
+      // main.js scrolls to the heading; on narrow screens get the list out of the way
+      $(document).on('click', '.toc-link', function() {
+        if (self.placement === 'inline') {
+          self.setCollapsed(true);
+        }
+      });
+    },
+
+    /**
+     * Build the table of contents for the article on the page, replacing any previous one
+     */
+    build: function() {
+      var entry = document.querySelector('.article-entry');
+      var headings = entry ? $(entry).find(this.config.headings).toArray() : [];
+
+      if (this.$toc) {
+        this.$toc.remove();
+      }
+      this.$toc = null;
+      this.headings = [];
+      this.$links = $();
+      this.activeIndex = -1;
+      this.placement = null;
+
+      if (headings.length < this.config.minHeadings) return;
+
+      var $root = $('<ol class="toc-list"></ol>');
+      var $parent = $root;
+      var $lastItem = null;
+
+      headings.forEach(function(heading) {
+        var isSub = heading.tagName === 'H3';
+
+        // h3s nest under the h2 before them; a leading h3 stays at the top level
+        if (!isSub) {
+          $parent = $root;
+        } else if ($parent === $root && $lastItem) {
+          $parent = $('<ol class="toc-list"></ol>').appendTo($lastItem);
+        }
+
+        var $item = $('<li class="toc-item"></li>')
+          .addClass(isSub ? 'toc-level-3' : 'toc-level-2')
+          .append($('<a class="toc-link"></a>')
+            .attr('href', '#' + encodeURIComponent(heading.id))
+            .text($(heading).text().trim()))
+          .appendTo($parent);
+
+        if (!isSub) {
+          $lastItem = $item;
+        }
+      });
+
+      this.$toc = $('<nav class="widget widget-toc"></nav>')
+        .attr('aria-label', this.config.label)
+        .append($('<h3 class="widget-title"></h3>').append(
+          $('<button type="button" class="toc-toggle" aria-controls="toc-body"></button>')
+            .append('<i class="fas fa-list-ul" aria-hidden="true"></i>')
+            .append(document.createTextNode(' ' + this.config.titleText))
+            .append('<i class="fas fa-chevron-down toc-toggle-icon" aria-hidden="true"></i>')
+        ))
+        .append($('<div class="widget-content toc-body" id="toc-body"></div>').append($root));
+
+      this.headings = headings;
+      this.$links = this.$toc.find('.toc-link');
+      this.place();
+      this.update();
+    },
+
+    /**
+     * Put the table of contents in the sidebar or above the article,
+     * whichever the screen width calls for
+     */
+    place: function() {
+      if (!this.$toc) return;
+
+      var $sidebar = $('#sidebar');
+      var placement = (!this.media || this.media.matches) && $sidebar.length ? 'sidebar' : 'inline';
+      if (placement === this.placement) return;
+
+      this.placement = placement;
+      this.$toc.toggleClass('is-inline', placement === 'inline');
+      if (placement === 'sidebar') {
+        this.$toc.prependTo($sidebar);
+      } else {
+        this.$toc.insertBefore('.article-entry');
+      }
+
+      // Open beside the article, collapsed above it
+      this.setCollapsed(placement === 'inline');
+    },
+
+    /**
+     * Collapse or expand the list
+     * @param {boolean} collapsed - Whether to hide the list
+     */
+    setCollapsed: function(collapsed) {
+      if (!this.$toc) return;
+
+      this.$toc.toggleClass('is-collapsed', collapsed);
+      this.$toc.find('.toc-toggle').attr('aria-expanded', collapsed ? 'false' : 'true');
+    },
+
+    /**
+     * Update the highlight at most once per frame
+     */
+    scheduleUpdate: function() {
+      var self = this;
+      if (this.isScheduled || !this.$toc) return;
+
+      this.isScheduled = true;
+      window.requestAnimationFrame(function() {
+        self.isScheduled = false;
+        self.update();
+      });
+    },
+
+    /**
+     * Highlight the section being read: the last heading that has
+     * scrolled up to the sticky header
+     */
+    update: function() {
+      if (!this.$toc) return;
+
+      // Sticky header height, shared with the anchor scrolling in main.js
+      var offset = window.DarkTechTheme ? window.DarkTechTheme.headerOffset() : 0;
+      var index = -1;
+
+      for (var i = 0; i < this.headings.length; i++) {
+        // One pixel of slack so a heading scrolled to from the TOC counts as reached
+        if (this.headings[i].getBoundingClientRect().top - offset > 1) break;
+        index = i;
+      }
+
+      // The last sections of a short page may never reach the header
+      var scrollBottom = window.pageYOffset + window.innerHeight;
+      if (index !== -1 && scrollBottom >= document.documentElement.scrollHeight - 2) {
+        index = this.headings.length - 1;
+      }
+
+      this.setActive(index);
+    },
+
+    /**
+     * Mark one link as the current section
+     * @param {number} index - Heading index, -1 for none
+     */
+    setActive: function(index) {
+      if (index === this.activeIndex) return;
+
+      this.activeIndex = index;
+      this.$links.removeClass('is-active').removeAttr('aria-current');
+      if (index === -1) return;
+
+      var link = this.$links.eq(index).addClass('is-active').attr('aria-current', 'true')[0];
+
+      // Keep the link visible when the list scrolls on its own
+      var body = this.$toc.find('.toc-body')[0];
+      var bodyRect = body.getBoundingClientRect();
+      var linkRect = link.getBoundingClientRect();
+      if (linkRect.top < bodyRect.top) {
+        body.scrollTop -= bodyRect.top - linkRect.top;
+      } else if (linkRect.bottom > bodyRect.bottom) {
+        body.scrollTop += linkRect.bottom - bodyRect.bottom;
+      }
+    }
+  };
+
+  // Initialize when DOM is ready
+  $(document).ready(function() {
+    Toc.init();
+  });
+
+  // Expose to global scope for the other theme scripts
+  window.DarkTechToc = Toc;
+
+})(jQuery);
@@ -0,0 +1,63 @@
+/**
+ * Key derivation worker for lib/hbe.js
+ * Runs PBKDF2 off the main thread so the unlock form stays responsive,
+ * even at the iteration counts v2 payloads use.
+ *
+ * Message protocol:
+ *   -> { id, password, format }   format as read by hbe.js from the container
+ *   <- { id, keys }               { alg, dk, hmk?, iv? } as extractable CryptoKeys
+ *   <- { id, error }              derivation failed
+ */
+
+(() => {
+  'use strict';
+
+  const subtle = self.crypto.subtle;
+  const encoder = new TextEncoder();
+
+  // v1 salts, identical to the ones in hbe.js
+  const keySalt = encoder.encode('hexo-blog-encrypt的作者们都是大帅比!');
+  const ivSalt = encoder.encode('hexo-blog-encrypt是地表最强Hexo加密插件!');
+
+  function hexToArray(s) {
+    return new Uint8Array((s.match(/[\da-f]{2}/gi) || []).map(h => parseInt(h, 16)));
+  }
+
+  function pbkdf2(salt, iterations) {
+    return { 'name': 'PBKDF2', 'hash': 'SHA-256', 'salt': salt, 'iterations': iterations };
+  }
+
+  async function deriveKeys(password, format) {
+    const keyMaterial = await subtle.importKey('raw', encoder.encode(password), { 'name': 'PBKDF2' }, false, [
+      'deriveKey',
+      'deriveBits',
+    ]);
+
+    if (format.version === 2) {
+      return {
+        'alg': 'AES-GCM',
+        'dk': await subtle.deriveKey(pbkdf2(hexToArray(format.salt), format.iterations), keyMaterial,
+          { 'name': 'AES-GCM', 'length': 256 }, true, ['decrypt']),
+      };
+    }
+
+    return {
+      'alg': 'AES-CBC',
+      'dk': await subtle.deriveKey(pbkdf2(keySalt, 1024), keyMaterial,
+        { 'name': 'AES-CBC', 'length': 256 }, true, ['decrypt']),
+      'hmk': await subtle.deriveKey(pbkdf2(keySalt, 1024), keyMaterial,
+        { 'name': 'HMAC', 'hash': 'SHA-256', 'length': 256 }, true, ['verify']),
+      'iv': await subtle.deriveBits(pbkdf2(ivSalt, 512), keyMaterial, 16 * 8),
+    };
+  }
+
+  self.addEventListener('message', (event) => {
+    const message = event.data || {};
+    deriveKeys(message.password, message.format || {}).then((keys) => {
+      self.postMessage({ id: message.id, keys: keys });
+    }, (error) => {
+      self.postMessage({ id: message.id, error: String(error && error.message || error) });
+    });
+  });
+
+})();
@@ -2,9 +2,18 @@
   'use strict';
 
   const cryptoObj = window.crypto || window.msCrypto;
-  const storage = window.localStorage;
-
-  const storageName = 'hexo-blog-encrypt:#' + window.location.pathname;
+  // Remembered keys are wrapped and expired by the theme's key store
+  // (js/encryption-keys.js); without it nothing is remembered.
+  const keyStore = window.HbeKeyStore || null;
+
+  const storageName = window.location.pathname;
+  let unlocked = false;
+
+  // Key derivation runs in lib/hbe-worker.js, next to this script
+  const workerUrl = ((document.currentScript && document.currentScript.src) || '/lib/hbe.js')
+    .replace(/hbe\.js(\?.*)?$/, 'hbe-worker.js');
+  let kdfWorker = null;
+  let kdfRequestId = 0;
   const keySalt = textToArray('hexo-blog-encrypt的作者们都是大帅比!');
   const ivSalt = textToArray('hexo-blog-encrypt是地表最强Hexo加密插件!');
 
@@ -15,10 +24,46 @@ const knownPrefix = "<hbe-prefix></hbe-prefix>";
   const mainElement = document.getElementById('hexo-blog-encrypt');
   const wrongPassMessage = mainElement.dataset['wpm'];
   const wrongHashMessage = mainElement.dataset['whm'];
+  // Posts sharing a password share remembered keys
+  const keyGroup = mainElement.dataset['keyGroup'];
   const dataElement = mainElement.getElementsByTagName('script')['hbeData'];
   const encryptedData = dataElement.innerText;
   const HmacDigist = dataElement.dataset['hmacdigest'];
 
+  // Payload format, read from the container's data attributes:
+  //   v1 (no data-version): AES-CBC keyed from the static salts above with
+  //      1024 PBKDF2 rounds, plus an HMAC of the plaintext (data-hmacdigest).
+  //   v2 (data-version="2"): AES-GCM with a random per-post data-salt and
+  //      data-nonce (hex), keyed by data-kdf ("pbkdf2-sha256") at
+  //      data-iterations rounds. Posts in a key group share their salt.
+  const payloadFormat = readPayloadFormat(mainElement.dataset);
+  const unsupportedMessage = '不支持此文章的加密格式，请联系作者。';
+
+  function readPayloadFormat(dataset) {
+    const version = parseInt(dataset['version'] || '1', 10);
+    if (version === 1) {
+      return { version: 1 };
+    }
+    return {
+      version: version,
+      kdf: dataset['kdf'] || 'pbkdf2-sha256',
+      iterations: parseInt(dataset['iterations'], 10),
+      salt: dataset['salt'] || '',
+      nonce: dataset['nonce'] || '',
+    };
+  }
+
+  function isSupportedFormat(format) {
+    if (format.version === 1) {
+      return true;
+    }
+    return format.version === 2 &&
+      format.kdf === 'pbkdf2-sha256' &&
+      format.iterations > 0 &&
+      /^([\da-f]{2})+$/i.test(format.salt) &&
+      /^([\da-f]{2})+$/i.test(format.nonce);
+  }
+
   function hexToArray(s) {
     return new Uint8Array(s.match(/[\da-f]{2}/gi).map((h => {
       return parseInt(h, 16);
@@ -55,23 +100,6 @@ const knownPrefix = "<hbe-prefix></hbe-prefix>";
     return new Uint8Array(ba);
   }
 
-  function arrayBufferToHex(arrayBuffer) {
-    if (typeof arrayBuffer !== 'object' || arrayBuffer === null || typeof arrayBuffer.byteLength !== 'number') {
-      throw new TypeError('Expected input to be an ArrayBuffer')
-    }
-
-    var view = new Uint8Array(arrayBuffer)
-    var result = ''
-    var value
-
-    for (var i = 0; i < view.length; i++) {
-      value = view[i].toString(16)
-      result += (value.length === 1 ? '0' + value : value)
-    }
-
-    return result
-  }
-
   async function getExecutableScript(oldElem) {
     let out = document.createElement('script');
     const attList = ['type', 'text', 'src', 'crossorigin', 'defer', 'referrerpolicy'];
@@ -147,6 +175,20 @@ const knownPrefix = "<hbe-prefix></hbe-prefix>";
     }, keyMaterial, 16 * 8);
   }
 
+  function getGcmKey(keyMaterial) {
+    return cryptoObj.subtle.deriveKey({
+      'name': 'PBKDF2',
+      'hash': 'SHA-256',
+      'salt': hexToArray(payloadFormat.salt),
+      'iterations': payloadFormat.iterations,
+    }, keyMaterial, {
+      'name': 'AES-GCM',
+      'length': 256,
+    }, true, [
+      'decrypt',
+    ]);
+  }
+
   async function verifyContent(key, content) {
     const encoder = new TextEncoder();
     const encoded = encoder.encode(content);
@@ -158,140 +200,226 @@ const knownPrefix = "<hbe-prefix></hbe-prefix>";
       'hash': 'SHA-256',
     }, key, signature, encoded);
     console.log(`Verification result: ${result}`);
-    if (!result) {
-      alert(wrongHashMessage);
-      console.log(`${wrongHashMessage}, got `, signature, ` but proved wrong.`);
-    }
     return result;
   }
 
+  function unlockError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
   async function decrypt(decryptKey, iv, hmacKey) {
     let typedArray = hexToArray(encryptedData);
 
-    const result = await cryptoObj.subtle.decrypt({
-      'name': 'AES-CBC',
-      'iv': iv,
-    }, decryptKey, typedArray.buffer).then(async (result) => {
-      const decoder = new TextDecoder();
-      const decoded = decoder.decode(result);
-
-      // check the prefix, if not then we can sure here is wrong password.
-      if (!decoded.startsWith(knownPrefix)) {
-        throw "Decode successfully but not start with KnownPrefix.";
-      }
+    let decoded;
+    try {
+      const result = await cryptoObj.subtle.decrypt({
+        'name': 'AES-CBC',
+        'iv': iv,
+      }, decryptKey, typedArray.buffer);
+      decoded = new TextDecoder().decode(result);
+    } catch (e) {
+      throw unlockError('wrong-password', wrongPassMessage);
+    }
 
-      const hideButton = document.createElement('button');
-      hideButton.textContent = 'Encrypt again';
-      hideButton.type = 'button';
-      hideButton.classList.add("hbe-button");
-      hideButton.addEventListener('click', () => {
-        window.localStorage.removeItem(storageName);
-        window.location.reload();
-      });
-
-      document.getElementById('hexo-blog-encrypt').style.display = 'inline';
-      document.getElementById('hexo-blog-encrypt').innerHTML = '';
-      document.getElementById('hexo-blog-encrypt').appendChild(await convertHTMLToElement(decoded));
-      document.getElementById('hexo-blog-encrypt').appendChild(hideButton);
-
-      // support html5 lazyload functionality.
-      document.querySelectorAll('img').forEach((elem) => {
-        if (elem.getAttribute("data-src") && !elem.src) {
-          elem.src = elem.getAttribute('data-src');
-        }
-      });
+    // check the prefix, if not then we can sure here is wrong password.
+    if (!decoded.startsWith(knownPrefix)) {
+      throw unlockError('wrong-password', wrongPassMessage);
+    }
 
-      // support theme-next refresh
-      window.NexT && NexT.boot && typeof NexT.boot.refresh === 'function' && NexT.boot.refresh();
+    if (!await verifyContent(hmacKey, decoded)) {
+      throw unlockError('tampered', wrongHashMessage);
+    }
 
-      // TOC part
-      var tocDiv = document.getElementById("toc-div");
-      if (tocDiv) {
-        tocDiv.style.display = 'inline';
-      }
+    return decoded;
+  }
 
-      var tocDivs = document.getElementsByClassName('toc-div-class');
-      if (tocDivs && tocDivs.length > 0) {
-        for (var idx = 0; idx < tocDivs.length; idx++) {
-          tocDivs[idx].style.display = 'inline';
-        }
+  async function decryptGcm(decryptKey) {
+    try {
+      const result = await cryptoObj.subtle.decrypt({
+        'name': 'AES-GCM',
+        'iv': hexToArray(payloadFormat.nonce),
+      }, decryptKey, hexToArray(encryptedData));
+      return new TextDecoder().decode(result);
+    } catch (e) {
+      // GCM authenticates the ciphertext, so a wrong password and
+      // tampered data fail alike
+      throw unlockError('wrong-password', wrongPassMessage);
+    }
+  }
+
+  function decryptWith(keys) {
+    return payloadFormat.version === 2 ?
+      decryptGcm(keys.dk) :
+      decrypt(keys.dk, keys.iv, keys.hmk);
+  }
+
+  async function mountContent(decoded) {
+    const hideButton = document.createElement('button');
+    hideButton.textContent = 'Encrypt again';
+    hideButton.type = 'button';
+    hideButton.classList.add("hbe-button");
+    hideButton.addEventListener('click', () => {
+      forget();
+      window.location.reload();
+    });
+
+    mainElement.style.display = 'inline';
+    mainElement.innerHTML = '';
+    mainElement.appendChild(await convertHTMLToElement(decoded));
+    mainElement.appendChild(hideButton);
+    unlocked = true;
+
+    // support html5 lazyload functionality.
+    document.querySelectorAll('img').forEach((elem) => {
+      if (elem.getAttribute("data-src") && !elem.src) {
+        elem.src = elem.getAttribute('data-src');
       }
-      
-      // trigger event
-      var event = new Event('hexo-blog-decrypt');
-      window.dispatchEvent(event);
-
-      return await verifyContent(hmacKey, decoded);
-    }).catch((e) => {
-      alert(wrongPassMessage);
-      console.log(e);
-      return false;
     });
 
-    return result;
+    // support theme-next refresh
+    window.NexT && NexT.boot && typeof NexT.boot.refresh === 'function' && NexT.boot.refresh();
+
+    // TOC part
+    var tocDiv = document.getElementById("toc-div");
+    if (tocDiv) {
+      tocDiv.style.display = 'inline';
+    }
+
+    var tocDivs = document.getElementsByClassName('toc-div-class');
+    if (tocDivs && tocDivs.length > 0) {
+      for (var idx = 0; idx < tocDivs.length; idx++) {
+        tocDivs[idx].style.display = 'inline';
+      }
+    }
 
+    // trigger event
+    var event = new Event('hexo-blog-decrypt');
+    window.dispatchEvent(event);
   }
 
-  function hbeLoader() {
+  function forget() {
+    keyStore && keyStore.forget(storageName, keyGroup);
+  }
 
-    const oldStorageData = JSON.parse(storage.getItem(storageName));
+  // Decrypt with the keys remembered from an earlier unlock, if any
+  async function restore() {
+    if (!isSupportedFormat(payloadFormat)) {
+      return false;
+    }
 
-    if (oldStorageData) {
-      console.log(`Password got from localStorage(${storageName}): `, oldStorageData);
+    const keys = keyStore && await keyStore.load(storageName, keyGroup);
+    if (!keys) {
+      return false;
+    }
 
-      const sIv = hexToArray(oldStorageData.iv).buffer;
-      const sDk = oldStorageData.dk;
-      const sHmk = oldStorageData.hmk;
+    try {
+      await mountContent(await decryptWith(keys));
+      return true;
+    } catch (e) {
+      // Only a failure other than a key that doesn't fit is worth reporting
+      if (!e.code) {
+        console.warn(e);
+      }
+      // A group key that doesn't fit this post still unlocks the others
+      if (!keys.shared) {
+        forget();
+      }
+      return false;
+    }
+  }
 
-      cryptoObj.subtle.importKey('jwk', sDk, {
-        'name': 'AES-CBC',
-        'length': 256,
-      }, true, [
-        'decrypt',
-      ]).then((dkCK) => {
-        cryptoObj.subtle.importKey('jwk', sHmk, {
-          'name': 'HMAC',
-          'hash': 'SHA-256',
-          'length': 256,
-        }, true, [
-          'verify',
-        ]).then((hmkCK) => {
-          decrypt(dkCK, sIv, hmkCK).then((result) => {
-            if (!result) {
-              storage.removeItem(storageName);
-            }
-          });
-        });
-      });
+  // Derive in the worker; resolves null if workers are unavailable
+  function deriveKeysInWorker(password) {
+    if (!window.Worker) {
+      return Promise.resolve(null);
     }
 
-    mainElement.addEventListener('keydown', async (event) => {
-      if (event.isComposing || event.keyCode === 13) {
-        const password = document.getElementById('hbePass').value;
-        const keyMaterial = await getKeyMaterial(password);
-        const hmacKey = await getHmacKey(keyMaterial);
-        const decryptKey = await getDecryptKey(keyMaterial);
-        const iv = await getIv(keyMaterial);
-
-        decrypt(decryptKey, iv, hmacKey).then((result) => {
-          console.log(`Decrypt result: ${result}`);
-          if (result) {
-            cryptoObj.subtle.exportKey('jwk', decryptKey).then((dk) => {
-              cryptoObj.subtle.exportKey('jwk', hmacKey).then((hmk) => {
-                const newStorageData = {
-                  'dk': dk,
-                  'iv': arrayBufferToHex(iv),
-                  'hmk': hmk,
-                };
-                storage.setItem(storageName, JSON.stringify(newStorageData));
-              });
-            });
-          }
-        });
+    return new Promise((resolve) => {
+      try {
+        kdfWorker = kdfWorker || new Worker(workerUrl);
+      } catch (e) {
+        resolve(null);
+        return;
       }
+
+      const id = ++kdfRequestId;
+      const onMessage = (event) => {
+        if (event.data.id !== id) {
+          return;
+        }
+        done(event.data.keys || null);
+      };
+      const onError = () => {
+        kdfWorker.terminate();
+        kdfWorker = null;
+        done(null);
+      };
+      const done = (keys) => {
+        if (kdfWorker) {
+          kdfWorker.removeEventListener('message', onMessage);
+          kdfWorker.removeEventListener('error', onError);
+        }
+        resolve(keys);
+      };
+
+      kdfWorker.addEventListener('message', onMessage);
+      kdfWorker.addEventListener('error', onError);
+      kdfWorker.postMessage({ id: id, password: password, format: payloadFormat });
     });
   }
 
-  hbeLoader();
+  async function deriveKeys(password) {
+    const derived = await deriveKeysInWorker(password);
+    if (derived) {
+      return derived;
+    }
+
+    // Fall back to the main thread; WebCrypto still keeps it asynchronous
+    const keyMaterial = await getKeyMaterial(password);
+    if (payloadFormat.version === 2) {
+      return {
+        'alg': 'AES-GCM',
+        'dk': await getGcmKey(keyMaterial),
+      };
+    }
+    return {
+      'alg': 'AES-CBC',
+      'dk': await getDecryptKey(keyMaterial),
+      'hmk': await getHmacKey(keyMaterial),
+      'iv': await getIv(keyMaterial),
+    };
+  }
+
+  // Decrypt with a password the reader entered, remembering the keys on success.
+  // Rejects with an Error whose `code` is 'wrong-password', 'tampered' or 'unsupported'.
+  async function unlock(password) {
+    if (!isSupportedFormat(payloadFormat)) {
+      throw unlockError('unsupported', unsupportedMessage);
+    }
+
+    const keys = await deriveKeys(password);
+    const decoded = await decryptWith(keys);
+    // Remember the keys first, so listeners of the decrypt event can use them
+    if (keyStore) {
+      await keyStore.save(storageName, keys, mainElement.dataset['remember'], keyGroup);
+    }
+    await mountContent(decoded);
+
+    if (kdfWorker) {
+      kdfWorker.terminate();
+      kdfWorker = null;
+    }
+  }
+
+  // The theme's unlock form (js/encryption.js) drives decryption through this API
+  window.HexoBlogEncrypt = {
+    element: mainElement,
+    restored: restore(),
+    unlock: unlock,
+    forget: forget,
+    isUnlocked: () => unlocked,
+  };
 
 })();
@@ -0,0 +1,566 @@
+#!/usr/bin/env node
+/**
+ * Author-side encryption for password-protected posts
+ * Produces the payloads lib/hbe.js decrypts, without the Hexo plugin
+ *
+ *   node tools/hbe-encrypt.js encrypt <fragment.html> [options]
+ *       Encrypt an HTML fragment and print the #hexo-blog-encrypt block,
+ *       including the hbeData script and, for format 1, its HMAC digest
+ *   node tools/hbe-encrypt.js rotate <page.html...> [options]
+ *       Re-encrypt built pages in place under a new password
+ *   node tools/hbe-encrypt.js verify <page.html...> [options]
+ *       Check that pages decrypt with a password
+ *
+ * Options:
+ *   --format 1|2       Payload format to write (default 2, see lib/hbe.js)
+ *   --iterations N     PBKDF2 rounds for format 2 (default 600000)
+ *   --salt HEX         Format 2 salt; posts in a key group must share it,
+ *                      so rotate keeps a group's salt and rounds unless given one
+ *   --key-group NAME   encrypt: declare the post's key group
+ *   --remember VALUE   encrypt: the post's key retention ('none', 'session' or days)
+ *   --search FILE      rotate/verify: also re-encrypt or check the posts' chunks in
+ *                      this search.json (see tools/hexo-search-encrypted.js)
+ *
+ * Passwords are read from HBE_PASSWORD and, for rotate, HBE_NEW_PASSWORD,
+ * so they stay out of shell history and process listings.
+ *
+ * Every payload written is decrypted again with the same WebCrypto calls
+ * lib/hbe.js makes before anything is printed or saved.
+ * Requires Node.js 18 or later; no dependencies.
+ *
+ * Round-trip tests against lib/hbe.js itself: node --test tools/
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { webcrypto } = require('crypto');
+
+const subtle = webcrypto.subtle;
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// Format 1 constants, identical to lib/hbe.js
+const KEY_SALT = encoder.encode('hexo-blog-encrypt的作者们都是大帅比!');
+const IV_SALT = encoder.encode('hexo-blog-encrypt是地表最强Hexo加密插件!');
+const KNOWN_PREFIX = '<hbe-prefix></hbe-prefix>';
+
+const DEFAULT_ITERATIONS = 600000;
+const FORMAT_ATTRIBUTES = ['data-version', 'data-kdf', 'data-iterations', 'data-salt', 'data-nonce'];
+
+const CONTAINER_PATTERN = /<div\b[^>]*\bid="hexo-blog-encrypt"[^>]*>/;
+const DATA_PATTERN = /<script\b[^>]*\bid="hbeData"[^>]*>([\da-f]*)<\/script>/i;
+
+// ============================================
+// Helpers
+// ============================================
+
+function bytesToHex(bytes) {
+  return Buffer.from(bytes).toString('hex');
+}
+
+function hexToBytes(hex) {
+  return new Uint8Array(Buffer.from(hex, 'hex'));
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+function unescapeAttribute(value) {
+  return value.replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse an opening tag's attributes, keeping their order
+ * @param {string} tag - Opening tag
+ * @returns {Array<[string, string]>} Name/value pairs, values unescaped
+ */
+function parseAttributes(tag) {
+  const attributes = [];
+  const pattern = /([\w:-]+)(?:="([^"]*)")?/g;
+  const body = tag.replace(/^<\w+/, '').replace(/\/?>$/, '');
+  let match;
+  while ((match = pattern.exec(body))) {
+    attributes.push([match[1], unescapeAttribute(match[2] || '')]);
+  }
+  return attributes;
+}
+
+function serializeTag(name, attributes) {
+  return '<' + name + attributes.map(([key, value]) => ` ${key}="${escapeAttribute(value)}"`).join('') + '>';
+}
+
+function getAttribute(attributes, name) {
+  const found = attributes.find(([key]) => key === name);
+  return found ? found[1] : undefined;
+}
+
+function fail(message) {
+  const error = new Error(message);
+  error.isUsageError = true;
+  throw error;
+}
+
+// ============================================
+// Cryptography (mirrors lib/hbe.js)
+// ============================================
+
+function importPassword(password) {
+  return subtle.importKey('raw', encoder.encode(password), { name: 'PBKDF2' }, false, ['deriveKey', 'deriveBits']);
+}
+
+function pbkdf2(salt, iterations) {
+  return { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations };
+}
+
+/**
+ * Derive the keys for a payload format
+ * @param {string} password - Post password
+ * @param {object} format - { version, iterations, salt } as written to the container
+ * @returns {Promise<object>} Keys for encrypt() and decrypt()
+ */
+async function deriveKeys(password, format) {
+  const keyMaterial = await importPassword(password);
+
+  if (format.version === 2) {
+    return {
+      key: await subtle.deriveKey(pbkdf2(hexToBytes(format.salt), format.iterations), keyMaterial,
+        { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+    };
+  }
+
+  return {
+    key: await subtle.deriveKey(pbkdf2(KEY_SALT, 1024), keyMaterial,
+      { name: 'AES-CBC', length: 256 }, false, ['encrypt', 'decrypt']),
+    hmacKey: await subtle.deriveKey(pbkdf2(KEY_SALT, 1024), keyMaterial,
+      { name: 'HMAC', hash: 'SHA-256', length: 256 }, false, ['sign', 'verify']),
+    iv: new Uint8Array(await subtle.deriveBits(pbkdf2(IV_SALT, 512), keyMaterial, 16 * 8))
+  };
+}
+
+/**
+ * Encrypt an HTML fragment
+ * @param {string} html - Plaintext HTML
+ * @param {string} password - Post password
+ * @param {object} options - { format, iterations, salt }
+ * @returns {Promise<object>} Payload: { format, data, hmacDigest? }
+ */
+async function encrypt(html, password, options) {
+  if (options.format === 1) {
+    const format = { version: 1 };
+    const keys = await deriveKeys(password, format);
+    const plaintext = encoder.encode(KNOWN_PREFIX + html);
+    const data = await subtle.encrypt({ name: 'AES-CBC', iv: keys.iv }, keys.key, plaintext);
+    const digest = await subtle.sign('HMAC', keys.hmacKey, plaintext);
+    return { format: format, data: bytesToHex(data), hmacDigest: bytesToHex(digest) };
+  }
+
+  const format = {
+    version: 2,
+    kdf: 'pbkdf2-sha256',
+    iterations: options.iterations,
+    salt: options.salt || bytesToHex(webcrypto.getRandomValues(new Uint8Array(16))),
+    nonce: bytesToHex(webcrypto.getRandomValues(new Uint8Array(12)))
+  };
+  const keys = await deriveKeys(password, format);
+  const data = await subtle.encrypt({ name: 'AES-GCM', iv: hexToBytes(format.nonce) }, keys.key, encoder.encode(html));
+  return { format: format, data: bytesToHex(data) };
+}
+
+/**
+ * Decrypt a payload the way lib/hbe.js does
+ * @param {object} payload - { format, data, hmacDigest? }
+ * @param {string} password - Post password
+ * @returns {Promise<string>} Plaintext HTML, without the format 1 marker
+ */
+async function decrypt(payload, password) {
+  const format = payload.format;
+  if (format.version !== 1 && !(format.version === 2 && format.kdf === 'pbkdf2-sha256')) {
+    fail(`unsupported payload format ${format.version} (${format.kdf})`);
+  }
+
+  const keys = await deriveKeys(password, format);
+  let plaintext;
+  try {
+    plaintext = format.version === 2 ?
+      await subtle.decrypt({ name: 'AES-GCM', iv: hexToBytes(format.nonce) }, keys.key, hexToBytes(payload.data)) :
+      await subtle.decrypt({ name: 'AES-CBC', iv: keys.iv }, keys.key, hexToBytes(payload.data));
+  } catch (e) {
+    fail('wrong password');
+  }
+
+  const html = decoder.decode(plaintext);
+  if (format.version === 2) {
+    return html;
+  }
+
+  if (!html.startsWith(KNOWN_PREFIX)) {
+    fail('wrong password');
+  }
+  const valid = await subtle.verify('HMAC', keys.hmacKey, hexToBytes(payload.hmacDigest || ''), plaintext);
+  if (!valid) {
+    fail('HMAC digest does not match the content');
+  }
+  return html.substring(KNOWN_PREFIX.length);
+}
+
+/**
+ * Encrypt, then prove the result decrypts back to the same HTML
+ * @param {string} html - Plaintext HTML
+ * @param {string} password - Post password
+ * @param {object} options - { format, iterations, salt }
+ * @returns {Promise<object>} Verified payload
+ */
+async function encryptVerified(html, password, options) {
+  const payload = await encrypt(html, password, options);
+  if (await decrypt(payload, password) !== html) {
+    fail('round trip produced different content');
+  }
+  return payload;
+}
+
+// ============================================
+// Pages
+// ============================================
+
+/**
+ * Read the payload of a built page
+ * @param {string} page - Page HTML
+ * @returns {object} { format, data, hmacDigest, keyGroup, container, script, attributes }
+ */
+function readPage(page) {
+  const container = page.match(CONTAINER_PATTERN);
+  const script = page.match(DATA_PATTERN);
+  if (!container || !script) {
+    fail('no #hexo-blog-encrypt payload found');
+  }
+
+  const attributes = parseAttributes(container[0]);
+  const version = parseInt(getAttribute(attributes, 'data-version') || '1', 10);
+  const format = version === 1 ? { version: 1 } : {
+    version: version,
+    kdf: getAttribute(attributes, 'data-kdf') || 'pbkdf2-sha256',
+    iterations: parseInt(getAttribute(attributes, 'data-iterations'), 10),
+    salt: getAttribute(attributes, 'data-salt') || '',
+    nonce: getAttribute(attributes, 'data-nonce') || ''
+  };
+
+  return {
+    format: format,
+    data: script[1],
+    hmacDigest: getAttribute(parseAttributes(script[0].replace(/>[\s\S]*$/, '>')), 'data-hmacdigest'),
+    keyGroup: getAttribute(attributes, 'data-key-group'),
+    container: container[0],
+    script: script[0],
+    attributes: attributes
+  };
+}
+
+/**
+ * Build the container attributes for a payload
+ * @param {Array<[string, string]>} attributes - Existing attributes, kept in order
+ * @param {object} format - Payload format
+ * @returns {Array<[string, string]>} Attributes with the format's data-* replaced
+ */
+function withFormatAttributes(attributes, format) {
+  const kept = attributes.filter(([key]) => !FORMAT_ATTRIBUTES.includes(key));
+  if (format.version === 1) {
+    return kept;
+  }
+  return kept.concat([
+    ['data-version', String(format.version)],
+    ['data-kdf', format.kdf],
+    ['data-iterations', String(format.iterations)],
+    ['data-salt', format.salt],
+    ['data-nonce', format.nonce]
+  ]);
+}
+
+function renderScript(payload) {
+  const digest = payload.hmacDigest ? ` data-hmacdigest="${payload.hmacDigest}"` : '';
+  return `<script id="hbeData" type="hbeData"${digest}>${payload.data}</script>`;
+}
+
+/**
+ * Render the full block the Hexo plugin puts in place of a post's content
+ * @param {object} payload - Encrypted payload
+ * @param {object} options - { keyGroup, remember }
+ * @returns {string} #hexo-blog-encrypt HTML
+ */
+function renderContainer(payload, options) {
+  const attributes = [
+    ['class', 'hbe hbe-container'],
+    ['id', 'hexo-blog-encrypt']
+  ];
+  if (options.keyGroup) attributes.push(['data-key-group', options.keyGroup]);
+  if (options.remember) attributes.push(['data-remember', options.remember]);
+  attributes.push(['data-wpm', '密码错误，请重试。'], ['data-whm', '文章校验失败，请联系作者。']);
+
+  return [
+    serializeTag('div', withFormatAttributes(attributes, payload.format)),
+    '  ' + renderScript(payload),
+    '  <div class="hbe hbe-content">',
+    '    <div class="hbe hbe-input hbe-input-default">',
+    '      <input class="hbe hbe-input-field hbe-input-field-default" type="password" id="hbePass">',
+    '      <label class="hbe hbe-input-label hbe-input-label-default" for="hbePass">',
+    '        <span class="hbe hbe-input-label-content hbe-input-label-content-default">请输入密码</span>',
+    '      </label>',
+    '    </div>',
+    '  </div>',
+    '</div>'
+  ].join('\n');
+}
+
+/**
+ * search.json entry for a built page, if the index lists it
+ * URLs in search.json are unencoded paths relative to the site root
+ * @param {object[]} posts - Parsed search.json
+ * @param {string} searchFile - Path of search.json, at the site root
+ * @param {string} pageFile - Path of the built page
+ * @returns {object|null} Post entry
+ */
+function findSearchEntry(posts, searchFile, pageFile) {
+  const relative = path.relative(path.dirname(searchFile), path.dirname(pageFile)).split(path.sep).join('/');
+  const url = '/' + (relative ? relative + '/' : '');
+  return posts.find(post => post.url === url && post.encrypted) || null;
+}
+
+function searchPayload(entry) {
+  const encrypted = entry.encrypted;
+  const format = encrypted.version === 2 ?
+    { version: 2, kdf: encrypted.kdf || 'pbkdf2-sha256', iterations: encrypted.iterations, salt: encrypted.salt, nonce: encrypted.nonce } :
+    { version: 1 };
+  return { format: format, data: encrypted.data, hmacDigest: encrypted.hmacDigest };
+}
+
+/**
+ * search.json's encrypted chunk for a post
+ * The chunk is only the post's search text, encrypted with the page's key
+ * (same password, salt and rounds), so js/search.js can index it with the
+ * keys remembered for the page. See the header of js/search-worker.js.
+ * @param {string} text - What search.json would list as the post's content
+ * @param {string} password - Post password
+ * @param {object} format - The page's payload format
+ * @param {string} [keyGroup] - The post's key group
+ * @returns {Promise<object>} Value for the post's `encrypted` field
+ */
+async function searchChunk(text, password, format, keyGroup) {
+  const payload = await encryptVerified(text, password,
+    { format: format.version, iterations: format.iterations, salt: format.salt });
+  const chunk = payload.format.version === 2 ?
+    Object.assign({ data: payload.data }, payload.format) :
+    { data: payload.data, hmacDigest: payload.hmacDigest };
+  if (keyGroup) chunk.keyGroup = keyGroup;
+  return chunk;
+}
+
+function writeFileAtomic(file, content) {
+  const temp = file + '.hbe-tmp';
+  fs.writeFileSync(temp, content);
+  fs.renameSync(temp, file);
+}
+
+// ============================================
+// Commands
+// ============================================
+
+function requirePassword(name) {
+  const password = process.env[name];
+  if (!password) {
+    fail(`set ${name} to the password`);
+  }
+  return password;
+}
+
+async function encryptCommand(files, options) {
+  if (files.length !== 1) {
+    fail('encrypt takes exactly one HTML fragment');
+  }
+  const html = fs.readFileSync(files[0], 'utf8');
+  const payload = await encryptVerified(html, requirePassword('HBE_PASSWORD'), options);
+  if (options.keyGroup && payload.format.version === 2 && !options.salt) {
+    console.warn(`Other posts in key group "${options.keyGroup}" must be encrypted with --salt ${payload.format.salt}`);
+  }
+  process.stdout.write(renderContainer(payload, options) + '\n');
+  return true;
+}
+
+async function rotateCommand(files, options) {
+  const oldPassword = requirePassword('HBE_PASSWORD');
+  const newPassword = requirePassword('HBE_NEW_PASSWORD');
+  const search = options.search ? JSON.parse(fs.readFileSync(options.search, 'utf8')) : null;
+  // Salt and rounds of each key group, for its pages that don't carry them yet
+  const groupFormats = new Map();
+  let ok = true;
+
+  for (const file of files) {
+    try {
+      const page = fs.readFileSync(file, 'utf8');
+      const current = readPage(page);
+      const html = await decrypt(current, oldPassword);
+      const keyGroup = current.keyGroup;
+
+      // Keep the group's salt and rounds: the key the browser remembers for
+      // the group must go on unlocking its posts that are not rotated in this run
+      let groupOptions = {};
+      if (!options.salt && keyGroup && options.format === 2) {
+        groupOptions = current.format.version === 2 ?
+          { salt: current.format.salt, iterations: current.format.iterations } :
+          groupFormats.get(keyGroup);
+        if (!groupOptions) {
+          fail(`key group "${keyGroup}" has no format 2 salt yet, pass the one its posts share with --salt`);
+        }
+        groupFormats.set(keyGroup, groupOptions);
+      }
+
+      const payload = await encryptVerified(html, newPassword, Object.assign({}, options, groupOptions));
+
+      // Re-encrypt the post's search chunk too, before anything is written;
+      // an entry without one only marks the post as encrypted
+      const entry = search && findSearchEntry(search, options.search, file);
+      let chunk = null;
+      if (entry && entry.encrypted.data) {
+        const text = await decrypt(searchPayload(entry), oldPassword);
+        chunk = await searchChunk(text, newPassword, payload.format, keyGroup);
+      } else if (search && !entry) {
+        console.warn(`${file}: not listed in ${options.search}`);
+      }
+
+      const container = serializeTag('div', withFormatAttributes(current.attributes, payload.format));
+      writeFileAtomic(file, page.replace(current.container, () => container).replace(current.script, () => renderScript(payload)));
+      if (chunk) {
+        entry.encrypted = chunk;
+      }
+      console.log(`${file}: re-encrypted (format ${payload.format.version})`);
+    } catch (error) {
+      // Carry on, so search.json is still written for the pages already rotated
+      console.error(`${file}: ${error.message}, left unchanged`);
+      ok = false;
+    }
+  }
+
+  if (search) {
+    writeFileAtomic(options.search, JSON.stringify(search));
+  }
+  return ok;
+}
+
+async function verifyCommand(files, options) {
+  const password = requirePassword('HBE_PASSWORD');
+  const search = options.search ? JSON.parse(fs.readFileSync(options.search, 'utf8')) : null;
+  let ok = true;
+
+  for (const file of files) {
+    try {
+      const payload = readPage(fs.readFileSync(file, 'utf8'));
+      await decrypt(payload, password);
+
+      if (search) {
+        const entry = findSearchEntry(search, options.search, file);
+        if (entry && entry.encrypted.data) {
+          await decrypt(searchPayload(entry), password);
+        } else if (!entry) {
+          console.warn(`${file}: not listed in ${options.search}`);
+        }
+      }
+      console.log(`${file}: ok (format ${payload.format.version})`);
+    } catch (error) {
+      if (!error.isUsageError) throw error;
+      console.error(`${file}: ${error.message}`);
+      ok = false;
+    }
+  }
+  return ok;
+}
+
+const COMMANDS = {
+  encrypt: encryptCommand,
+  rotate: rotateCommand,
+  verify: verifyCommand
+};
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{command: string, files: string[], options: object}} Parsed arguments
+ */
+function parseArgs(argv) {
+  const options = { format: 2, iterations: DEFAULT_ITERATIONS };
+  const files = [];
+  const [command, ...rest] = argv;
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (!arg.startsWith('--')) {
+      files.push(arg);
+      continue;
+    }
+
+    const value = rest[++i];
+    if (value === undefined) {
+      fail(`${arg} needs a value`);
+    }
+    switch (arg) {
+      case '--format':
+        options.format = parseInt(value, 10);
+        break;
+      case '--iterations':
+        options.iterations = parseInt(value, 10);
+        break;
+      case '--salt':
+        options.salt = value.toLowerCase();
+        break;
+      case '--key-group':
+        options.keyGroup = value;
+        break;
+      case '--remember':
+        options.remember = value;
+        break;
+      case '--search':
+        options.search = value;
+        break;
+      default:
+        fail(`unknown option ${arg}`);
+    }
+  }
+
+  if (!COMMANDS[command]) {
+    fail('usage: hbe-encrypt.js encrypt|rotate|verify <files...> [options]');
+  }
+  if (options.format !== 1 && options.format !== 2) {
+    fail('--format must be 1 or 2');
+  }
+  if (!(options.iterations > 0)) {
+    fail('--iterations must be a positive number');
+  }
+  if (options.salt && !/^([\da-f]{2}){8,}$/.test(options.salt)) {
+    fail('--salt must be at least 8 bytes of hex');
+  }
+  if (!files.length) {
+    fail(`${command} needs at least one file`);
+  }
+  return { command: command, files: files, options: options };
+}
+
+async function main() {
+  const { command, files, options } = parseArgs(process.argv.slice(2));
+  const ok = await COMMANDS[command](files, options);
+  process.exitCode = ok ? 0 : 1;
+}
+
+module.exports = {
+  encrypt: encrypt,
+  decrypt: decrypt,
+  readPage: readPage,
+  renderContainer: renderContainer,
+  searchChunk: searchChunk
+};
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.isUsageError ? error.message : error);
+    process.exitCode = error.isUsageError ? 2 : 1;
+  });
+}
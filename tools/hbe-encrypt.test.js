@@ -0,0 +1,510 @@
+/**
+ * Round-trip tests for tools/hbe-encrypt.js
+ * Payloads the CLI writes are decrypted by lib/hbe.js itself, run in a vm
+ * context with just enough of a DOM, so the two can't drift apart.
+ *
+ *   node --test tools/
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { execFileSync } = require('child_process');
+const { webcrypto } = require('crypto');
+const { describe, it } = require('node:test');
+
+const hbe = require('./hbe-encrypt');
+
+const CLI = path.join(__dirname, 'hbe-encrypt.js');
+const HBE_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'lib', 'hbe.js'), 'utf8');
+const WORKER_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'lib', 'hbe-worker.js'), 'utf8');
+const SEARCH_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'js', 'search.js'), 'utf8');
+
+// Low enough to keep the tests fast; the format is the same at any count
+const ITERATIONS = 1000;
+const SALT = '00112233445566778899aabbccddeeff';
+const KNOWN_PREFIX = '<hbe-prefix></hbe-prefix>';
+const HTML = '<h2 id="intro">简介</h2>\n<p>Encrypted <em>content</em> — 加密内容 🔒</p>';
+const TEXT = '## 简介\n\nEncrypted *content* — 加密内容 🔒\n';
+
+// ============================================
+// Browser
+// ============================================
+
+function toDataset(attributes) {
+  const dataset = {};
+  const pattern = /data-([\w-]+)="([^"]*)"/g;
+  let match;
+  while ((match = pattern.exec(attributes))) {
+    dataset[match[1].replace(/-(\w)/g, (all, letter) => letter.toUpperCase())] = match[2].replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+  }
+  return dataset;
+}
+
+function createElement() {
+  return {
+    children: [],
+    classList: { add() {} },
+    style: {},
+    dataset: {},
+    innerHTML: '',
+    addEventListener() {},
+    appendChild(child) {
+      this.children.push(child);
+    },
+    querySelectorAll() {
+      return [];
+    }
+  };
+}
+
+/**
+ * Worker stand-in running lib/hbe-worker.js in its own context,
+ * passing messages by structured clone like the browser does
+ */
+class FakeWorker {
+  constructor() {
+    this.listeners = { message: [], error: [] };
+    const workerListeners = [];
+    const self = {
+      crypto: webcrypto,
+      addEventListener: (type, listener) => workerListeners.push(listener),
+      postMessage: (data) => {
+        const event = { data: structuredClone(data) };
+        setImmediate(() => this.listeners.message.slice().forEach(listener => listener(event)));
+      }
+    };
+    this.deliver = (data) => {
+      const event = { data: structuredClone(data) };
+      setImmediate(() => workerListeners.forEach(listener => listener(event)));
+    };
+    vm.runInNewContext(WORKER_SOURCE, { self: self, TextEncoder: TextEncoder, Uint8Array: Uint8Array, String: String });
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type].push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type] = this.listeners[type].filter(other => other !== listener);
+  }
+
+  postMessage(data) {
+    this.deliver(data);
+  }
+
+  terminate() {}
+}
+
+/**
+ * Run lib/hbe.js on a built page
+ * @param {string} page - HTML containing the #hexo-blog-encrypt block
+ * @param {object} [options] - { keyStore, worker, pathname }
+ * @returns {object} { api, mounted() } where api is window.HexoBlogEncrypt
+ */
+function loadBrowser(page, options) {
+  options = options || {};
+  const container = page.match(/<div\b([^>]*\bid="hexo-blog-encrypt"[^>]*)>/);
+  const script = page.match(/<script\b([^>]*\bid="hbeData"[^>]*)>([\da-f]*)<\/script>/);
+  assert.ok(container && script, 'page has an hbe payload');
+
+  const mainElement = Object.assign(createElement(), { dataset: toDataset(container[1]) });
+  const dataElement = { innerText: script[2], dataset: toDataset(script[1]) };
+  mainElement.getElementsByTagName = () => ({ hbeData: dataElement });
+
+  const window = {
+    crypto: webcrypto,
+    location: { pathname: options.pathname || '/2025/01/01/post/' },
+    HbeKeyStore: options.keyStore,
+    Worker: options.worker ? FakeWorker : undefined,
+    dispatchEvent() {}
+  };
+  const context = Object.assign(window, {
+    window: window,
+    document: {
+      currentScript: null,
+      getElementById: id => (id === 'hexo-blog-encrypt' ? mainElement : null),
+      createElement: createElement,
+      querySelectorAll: () => [],
+      getElementsByClassName: () => []
+    },
+    console: { log() {} },
+    Event: function Event(type) {
+      this.type = type;
+    },
+    TextEncoder: TextEncoder,
+    TextDecoder: TextDecoder,
+    // WebCrypto only takes buffers from its own realm
+    Uint8Array: Uint8Array
+  });
+
+  vm.runInNewContext(HBE_SOURCE, context);
+  return {
+    api: window.HexoBlogEncrypt,
+    // HTML hbe.js mounted, as it was decrypted
+    mounted: () => (mainElement.children[0] ? mainElement.children[0].innerHTML : null)
+  };
+}
+
+/**
+ * js/search.js's decryptStoredPost(), cut out of the file, so search.json
+ * chunks are read by the code the search page runs
+ * @param {object} keyStore - Key store the page's keys were saved to
+ * @returns {Function} decryptStoredPost(post)
+ */
+function loadSearchDecryptor(keyStore) {
+  const start = SEARCH_SOURCE.indexOf('  const HBE_KNOWN_PREFIX');
+  const end = SEARCH_SOURCE.indexOf('\n  }\n', SEARCH_SOURCE.indexOf('async function decryptStoredPost')) + 4;
+  assert.ok(start !== -1 && end > start, 'js/search.js has decryptStoredPost');
+
+  const context = {
+    window: { crypto: webcrypto, HbeKeyStore: keyStore, location: { href: 'https://example.com/' } },
+    URL: URL,
+    TextDecoder: TextDecoder,
+    Uint8Array: Uint8Array
+  };
+  vm.runInNewContext(SEARCH_SOURCE.slice(start, end) + '\nthis.decryptStoredPost = decryptStoredPost;', context);
+  return context.decryptStoredPost;
+}
+
+/**
+ * Key store stand-in that keeps saved keys in memory, per post and per group
+ */
+function createKeyStore() {
+  const entries = new Map();
+  return {
+    entries: entries,
+    save: async(id, keys, remember, group) => {
+      entries.set(group ? 'group:' + group : id, keys);
+    },
+    load: async(id, group) => {
+      if (entries.has(id)) return entries.get(id);
+      if (group && entries.has('group:' + group)) {
+        return Object.assign({ shared: true }, entries.get('group:' + group));
+      }
+      return null;
+    },
+    forget: (id, group) => {
+      entries.delete(id);
+      if (group) entries.delete('group:' + group);
+    }
+  };
+}
+
+async function encryptPage(html, password, options) {
+  const payload = await hbe.encrypt(html, password, Object.assign({ iterations: ITERATIONS }, options));
+  return '<article>\n' + hbe.renderContainer(payload, options) + '\n</article>\n';
+}
+
+// Expected mount: format 1 keeps its marker in front of the content
+function plaintextFor(version, html) {
+  return version === 1 ? KNOWN_PREFIX + html : html;
+}
+
+async function assertRejects(promise, code) {
+  await assert.rejects(promise, error => error.code === code);
+}
+
+// ============================================
+// Tests
+// ============================================
+
+describe('encrypt', () => {
+  [1, 2].forEach((version) => {
+    it(`format ${version} decrypts in lib/hbe.js`, async() => {
+      const browser = loadBrowser(await encryptPage(HTML, 'secret', { format: version }));
+      await browser.api.unlock('secret');
+      assert.strictEqual(browser.mounted(), plaintextFor(version, HTML));
+    });
+
+    it(`format ${version} decrypts through lib/hbe-worker.js`, async() => {
+      const browser = loadBrowser(await encryptPage(HTML, 'secret', { format: version }), { worker: true });
+      await browser.api.unlock('secret');
+      assert.strictEqual(browser.mounted(), plaintextFor(version, HTML));
+    });
+
+    it(`format ${version} rejects a wrong password`, async() => {
+      const browser = loadBrowser(await encryptPage(HTML, 'secret', { format: version }));
+      await assertRejects(browser.api.unlock('wrong'), 'wrong-password');
+      assert.strictEqual(browser.mounted(), null);
+    });
+
+    it(`format ${version} round-trips through readPage and decrypt`, async() => {
+      const page = await encryptPage(HTML, 'secret', { format: version });
+      assert.strictEqual(await hbe.decrypt(hbe.readPage(page), 'secret'), HTML);
+    });
+  });
+
+  it('format 1 fails verifyContent when the digest is not the content\'s', async() => {
+    const page = await encryptPage(HTML, 'secret', { format: 1 });
+    const other = hbe.readPage(await encryptPage('<p>other</p>', 'secret', { format: 1 }));
+    const browser = loadBrowser(page.replace(/data-hmacdigest="[\da-f]+"/, `data-hmacdigest="${other.hmacDigest}"`));
+    await assertRejects(browser.api.unlock('secret'), 'tampered');
+  });
+
+  it('format 2 writes the attributes lib/hbe.js reads', async() => {
+    const page = await encryptPage(HTML, 'secret', { format: 2, salt: SALT });
+    const { format } = hbe.readPage(page);
+    assert.deepStrictEqual(
+      { version: format.version, kdf: format.kdf, iterations: format.iterations, salt: format.salt },
+      { version: 2, kdf: 'pbkdf2-sha256', iterations: ITERATIONS, salt: SALT }
+    );
+    assert.match(format.nonce, /^[\da-f]{24}$/);
+  });
+
+  it('posts in a key group unlock with the keys remembered for the group', async() => {
+    const options = { format: 2, salt: SALT, keyGroup: 'Private' };
+    const keyStore = createKeyStore();
+
+    const first = loadBrowser(await encryptPage(HTML, 'secret', options), { keyStore: keyStore, pathname: '/a/' });
+    await first.api.restored;
+    await first.api.unlock('secret');
+    assert.ok(keyStore.entries.has('group:Private'));
+
+    const second = loadBrowser(await encryptPage('<p>second</p>', 'secret', options), { keyStore: keyStore, pathname: '/b/' });
+    assert.strictEqual(await second.api.restored, true);
+    assert.strictEqual(second.mounted(), '<p>second</p>');
+  });
+
+  it('group keys don\'t unlock a post on another salt', async() => {
+    const keyStore = createKeyStore();
+
+    const first = loadBrowser(await encryptPage(HTML, 'secret', { format: 2, salt: SALT, keyGroup: 'Private' }),
+      { keyStore: keyStore, pathname: '/a/' });
+    await first.api.restored;
+    await first.api.unlock('secret');
+
+    const second = loadBrowser(await encryptPage(HTML, 'secret', { format: 2, keyGroup: 'Private' }),
+      { keyStore: keyStore, pathname: '/b/' });
+    assert.strictEqual(await second.api.restored, false);
+  });
+});
+
+describe('searchChunk', () => {
+  [1, 2].forEach((version) => {
+    it(`format ${version} chunks decrypt in js/search.js with the keys lib/hbe.js remembered`, async() => {
+      const page = await encryptPage(HTML, 'secret', { format: version });
+      const chunk = await hbe.searchChunk(TEXT, 'secret', hbe.readPage(page).format);
+
+      const keyStore = createKeyStore();
+      const browser = loadBrowser(page, { keyStore: keyStore, pathname: '/post/' });
+      await browser.api.restored;
+      await browser.api.unlock('secret');
+
+      const decryptStoredPost = loadSearchDecryptor(keyStore);
+      assert.strictEqual(await decryptStoredPost({ url: '/post/', encrypted: chunk }), TEXT);
+    });
+  });
+
+  it('chunks of a key group decrypt with the keys remembered for the group', async() => {
+    const options = { format: 2, salt: SALT, keyGroup: 'Private' };
+    const first = await encryptPage(HTML, 'secret', options);
+    const second = hbe.readPage(await encryptPage('<p>second</p>', 'secret', options));
+    const chunk = await hbe.searchChunk(TEXT, 'secret', second.format, second.keyGroup);
+    assert.strictEqual(chunk.keyGroup, 'Private');
+    assert.strictEqual(chunk.salt, SALT);
+    assert.notStrictEqual(chunk.nonce, second.format.nonce);
+
+    const keyStore = createKeyStore();
+    const browser = loadBrowser(first, { keyStore: keyStore, pathname: '/a/' });
+    await browser.api.restored;
+    await browser.api.unlock('secret');
+
+    const decryptStoredPost = loadSearchDecryptor(keyStore);
+    assert.strictEqual(await decryptStoredPost({ url: '/b/', encrypted: chunk }), TEXT);
+  });
+
+  it('chunks stay locked without the page\'s keys', async() => {
+    const page = await encryptPage(HTML, 'secret', { format: 2 });
+    const chunk = await hbe.searchChunk(TEXT, 'secret', hbe.readPage(page).format);
+    assert.strictEqual(await loadSearchDecryptor(createKeyStore())({ url: '/post/', encrypted: chunk }), null);
+  });
+});
+
+describe('rotate', () => {
+  function withPages(pages, callback) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hbe-encrypt-'));
+    const files = Object.keys(pages).map((name) => {
+      const file = path.join(dir, name, 'index.html');
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, pages[name]);
+      return file;
+    });
+    return Promise.resolve(callback(files, dir)).finally(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  }
+
+  function run(args, env) {
+    try {
+      return { status: 0, output: execFileSync(process.execPath, [CLI].concat(args), { env: Object.assign({}, process.env, env), encoding: 'utf8', stdio: 'pipe' }) };
+    } catch (error) {
+      return { status: error.status, output: error.stdout + error.stderr };
+    }
+  }
+
+  const passwords = { HBE_PASSWORD: 'old', HBE_NEW_PASSWORD: 'new' };
+
+  [1, 2].forEach((version) => {
+    it(`re-encrypts format ${version} pages for lib/hbe.js under the new password`, async() => {
+      const page = await encryptPage(HTML, 'old', { format: version });
+      await withPages({ post: page }, async(files) => {
+        const result = run(['rotate', files[0], '--format', String(version), '--iterations', String(ITERATIONS)], passwords);
+        assert.strictEqual(result.status, 0, result.output);
+
+        const rotated = fs.readFileSync(files[0], 'utf8');
+        assert.strictEqual(rotated.replace(/<div\b[^>]*hexo-blog-encrypt[^>]*>\n.*\n/, ''), page.replace(/<div\b[^>]*hexo-blog-encrypt[^>]*>\n.*\n/, ''));
+
+        const browser = loadBrowser(rotated);
+        await assertRejects(browser.api.unlock('old'), 'wrong-password');
+        await browser.api.unlock('new');
+        assert.strictEqual(browser.mounted(), plaintextFor(version, HTML));
+      });
+    });
+  });
+
+  it('moves format 1 pages to format 2', async() => {
+    await withPages({ post: await encryptPage(HTML, 'old', { format: 1 }) }, async(files) => {
+      assert.strictEqual(run(['rotate', files[0], '--iterations', String(ITERATIONS)], passwords).status, 0);
+
+      const rotated = fs.readFileSync(files[0], 'utf8');
+      assert.strictEqual(hbe.readPage(rotated).format.version, 2);
+      const browser = loadBrowser(rotated, { worker: true });
+      await browser.api.unlock('new');
+      assert.strictEqual(browser.mounted(), HTML);
+    });
+  });
+
+  it('keeps a key group\'s salt when rotating some of its posts', async() => {
+    const options = { format: 2, salt: SALT, keyGroup: 'Private' };
+    const pages = {
+      a: await encryptPage('<p>a</p>', 'old', options),
+      b: await encryptPage('<p>b</p>', 'old', options),
+      c: await encryptPage('<p>c</p>', 'new', options)
+    };
+
+    await withPages(pages, async(files) => {
+      const result = run(['rotate', files[0], files[1], '--iterations', String(ITERATIONS)], passwords);
+      assert.strictEqual(result.status, 0, result.output);
+
+      const keyStore = createKeyStore();
+      const first = loadBrowser(fs.readFileSync(files[0], 'utf8'), { keyStore: keyStore, pathname: '/a/' });
+      assert.strictEqual(hbe.readPage(fs.readFileSync(files[0], 'utf8')).format.salt, SALT);
+      await first.api.restored;
+      await first.api.unlock('new');
+
+      // The group key from a rotated post still opens the one left alone
+      for (const [index, html] of [[1, '<p>b</p>'], [2, '<p>c</p>']]) {
+        const other = loadBrowser(fs.readFileSync(files[index], 'utf8'), { keyStore: keyStore, pathname: '/' + index + '/' });
+        assert.strictEqual(await other.api.restored, true);
+        assert.strictEqual(other.mounted(), html);
+      }
+    });
+  });
+
+  it('keeps a key group\'s rounds when a later run asks for others', async() => {
+    const options = { format: 2, salt: SALT, keyGroup: 'Private' };
+    const pages = {
+      a: await encryptPage('<p>a</p>', 'old', options),
+      b: await encryptPage('<p>b</p>', 'old', options)
+    };
+
+    await withPages(pages, async(files) => {
+      // The group's posts rotated one run at a time
+      assert.strictEqual(run(['rotate', files[0], '--iterations', String(ITERATIONS)], passwords).status, 0);
+      assert.strictEqual(run(['rotate', files[1], '--iterations', String(ITERATIONS * 2)], passwords).status, 0);
+      assert.strictEqual(hbe.readPage(fs.readFileSync(files[1], 'utf8')).format.iterations, ITERATIONS);
+
+      const keyStore = createKeyStore();
+      const first = loadBrowser(fs.readFileSync(files[0], 'utf8'), { keyStore: keyStore, pathname: '/a/' });
+      await first.api.restored;
+      await first.api.unlock('new');
+
+      const second = loadBrowser(fs.readFileSync(files[1], 'utf8'), { keyStore: keyStore, pathname: '/b/' });
+      assert.strictEqual(await second.api.restored, true);
+      assert.strictEqual(second.mounted(), '<p>b</p>');
+    });
+  });
+
+  it('refuses to give a key group\'s format 1 posts a salt of its own', async() => {
+    const page = await encryptPage(HTML, 'old', { format: 1, keyGroup: 'Private' });
+    await withPages({ post: page }, (files) => {
+      const result = run(['rotate', files[0], '--iterations', String(ITERATIONS)], passwords);
+      assert.strictEqual(result.status, 1);
+      assert.match(result.output, /--salt/);
+      assert.strictEqual(fs.readFileSync(files[0], 'utf8'), page);
+    });
+  });
+
+  it('writes search.json for the pages rotated when another fails', async() => {
+    const pages = {
+      a: await encryptPage(HTML, 'old', { format: 2 }),
+      b: await encryptPage(HTML, 'old', { format: 2 })
+    };
+    await withPages(pages, async(files, dir) => {
+      const search = path.join(dir, 'search.json');
+      const before = [];
+      for (const file of files) {
+        const format = hbe.readPage(fs.readFileSync(file, 'utf8')).format;
+        before.push({ title: 'Post', url: '/' + path.basename(path.dirname(file)) + '/', encrypted: await hbe.searchChunk(TEXT, 'old', format) });
+      }
+      fs.writeFileSync(search, JSON.stringify(before));
+
+      const missing = path.join(dir, 'missing', 'index.html');
+      const result = run(['rotate', files[0], missing, files[1], '--search', search, '--iterations', String(ITERATIONS)], passwords);
+      assert.strictEqual(result.status, 1);
+      assert.match(result.output, /missing.*left unchanged/);
+
+      const entries = JSON.parse(fs.readFileSync(search, 'utf8'));
+      entries.forEach((entry, index) => {
+        assert.notStrictEqual(entry.encrypted.data, before[index].encrypted.data);
+      });
+      assert.strictEqual(run(['verify', files[0], files[1], '--search', search], { HBE_PASSWORD: 'new' }).status, 0);
+    });
+  });
+
+  [1, 2].forEach((version) => {
+    it(`re-encrypts format ${version} search.json chunks with the page`, async() => {
+      const page = await encryptPage(HTML, 'old', { format: version });
+      await withPages({ post: page }, async(files, dir) => {
+        const search = path.join(dir, 'search.json');
+        const chunk = await hbe.searchChunk(TEXT, 'old', hbe.readPage(page).format);
+        fs.writeFileSync(search, JSON.stringify([
+          { title: 'Post', url: '/post/', encrypted: chunk },
+          { title: 'Marked', url: '/marked/', encrypted: {} }
+        ]));
+
+        const args = ['rotate', files[0], '--format', String(version), '--search', search, '--iterations', String(ITERATIONS)];
+        assert.strictEqual(run(args, passwords).status, 0);
+
+        const rotated = fs.readFileSync(files[0], 'utf8');
+        const entries = JSON.parse(fs.readFileSync(search, 'utf8'));
+        assert.deepStrictEqual(entries[1].encrypted, {});
+
+        const keyStore = createKeyStore();
+        const browser = loadBrowser(rotated, { keyStore: keyStore, pathname: '/post/' });
+        await browser.api.restored;
+        await browser.api.unlock('new');
+        assert.strictEqual(await loadSearchDecryptor(keyStore)(Object.assign({}, entries[0])), TEXT);
+      });
+    });
+  });
+
+  it('leaves a page unchanged when its search.json chunk doesn\'t decrypt', async() => {
+    const page = await encryptPage(HTML, 'old', { format: 2 });
+    await withPages({ post: page }, async(files, dir) => {
+      const search = path.join(dir, 'search.json');
+      const chunk = await hbe.searchChunk(TEXT, 'other', hbe.readPage(page).format);
+      fs.writeFileSync(search, JSON.stringify([{ title: 'Post', url: '/post/', encrypted: chunk }]));
+
+      const result = run(['rotate', files[0], '--search', search, '--iterations', String(ITERATIONS)], passwords);
+      assert.strictEqual(result.status, 1);
+      assert.strictEqual(fs.readFileSync(files[0], 'utf8'), page);
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(search, 'utf8'))[0].encrypted, chunk);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Hexo script: keep password-protected posts' plaintext out of search.json
+ *
+ * The search generator lists every post's source as its `content`, including
+ * the posts hexo-blog-encrypt protects with a `password` in their front-matter.
+ * After generation this drops their content and adds the small encrypted
+ * chunk js/search.js indexes once the reader has unlocked the post. The entry
+ * shape is described at the top of js/search-worker.js.
+ *
+ * Copy it into the site's scripts/ directory together with hbe-encrypt.js;
+ * Hexo then runs it on every `hexo generate`. search.json is read from the
+ * generator's `search.path` setting.
+ */
+
+/* global hexo */
+
+'use strict';
+
+const { readPage, searchChunk } = require('./hbe-encrypt');
+
+function readRoute(route) {
+  const stream = hexo.route.get(route);
+  if (!stream) return Promise.resolve(null);
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    stream.on('error', reject);
+  });
+}
+
+// search.json lists URLs unencoded, but a generator may encode them
+function normalizeUrl(url) {
+  try {
+    return decodeURI(url);
+  } catch (e) {
+    return url;
+  }
+}
+
+hexo.extend.filter.register('after_generate', async() => {
+  const route = ((hexo.config.search && hexo.config.search.path) || 'search.json').replace(/^\//, '');
+  const json = await readRoute(route);
+  if (json === null) return;
+
+  const data = JSON.parse(json);
+  const entries = Array.isArray(data) ? data : (data.posts || []);
+
+  const locked = new Map();
+  ['posts', 'pages'].forEach((type) => {
+    hexo.locals.get(type).forEach((post) => {
+      if (post.password) locked.set(normalizeUrl(hexo.config.root + post.path), post);
+    });
+  });
+
+  for (const entry of entries) {
+    const post = locked.get(normalizeUrl(entry.url || entry.path || ''));
+    if (!post) continue;
+
+    entry.content = '';
+
+    // The page's payload gives the key the chunk must share: format, salt, rounds
+    let page;
+    try {
+      page = readPage(post.content);
+    } catch (error) {
+      hexo.log.warn(`${route}: ${entry.url} has a password but no encrypted content`);
+      entry.encrypted = {};
+      continue;
+    }
+    entry.encrypted = await searchChunk(post._content || '', post.password, page.format, page.keyGroup);
+  }
+
+  hexo.route.set(route, JSON.stringify(data));
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for tools/hexo-search-encrypted.js
+ * Runs the script against a stand-in for the parts of Hexo it uses.
+ *
+ *   node --test tools/
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Readable } = require('stream');
+const { describe, it } = require('node:test');
+
+const hbe = require('./hbe-encrypt');
+
+const SCRIPT = path.join(__dirname, 'hexo-search-encrypted.js');
+const SOURCE = '## 简介\n\nEncrypted *content* — 加密内容\n';
+const SALT = '00112233445566778899aabbccddeeff';
+
+/**
+ * Load the script into a fake Hexo and run its after_generate filter
+ * @param {object[]} posts - Posts as in hexo.locals: { path, password, content, _content }
+ * @param {object[]} entries - search.json as the search generator wrote it
+ * @returns {Promise<object[]>} search.json after the filter
+ */
+async function generate(posts, entries) {
+  const routes = new Map([['search.json', JSON.stringify(entries)]]);
+  const filters = [];
+  const hexo = {
+    config: { root: '/', search: { path: 'search.json' } },
+    log: { warn() {} },
+    extend: { filter: { register: (type, filter) => filters.push({ type, filter }) } },
+    route: {
+      get: route => (routes.has(route) ? Readable.from([routes.get(route)]) : undefined),
+      set: (route, data) => routes.set(route, data)
+    },
+    locals: { get: type => (type === 'posts' ? posts : []) }
+  };
+
+  // Hexo runs scripts with `hexo` and `require` in scope, the same way
+  vm.runInThisContext(`(function(hexo, require) {${fs.readFileSync(SCRIPT, 'utf8')}\n})`, { filename: SCRIPT })(hexo, require);
+  assert.deepStrictEqual(filters.map(entry => entry.type), ['after_generate']);
+
+  await filters[0].filter();
+  return JSON.parse(routes.get('search.json'));
+}
+
+async function protectedPost(postPath, options) {
+  const payload = await hbe.encrypt('<p>rendered</p>', 'secret', Object.assign({ iterations: 1000 }, options));
+  return {
+    path: postPath,
+    password: 'secret',
+    content: '<article>' + hbe.renderContainer(payload, options) + '</article>',
+    _content: SOURCE
+  };
+}
+
+function chunkPayload(encrypted) {
+  const format = encrypted.version === 2 ?
+    { version: 2, kdf: encrypted.kdf, iterations: encrypted.iterations, salt: encrypted.salt, nonce: encrypted.nonce } :
+    { version: 1 };
+  return { format: format, data: encrypted.data, hmacDigest: encrypted.hmacDigest };
+}
+
+describe('hexo-search-encrypted', () => {
+  it('replaces a protected post\'s content with a chunk its password decrypts', async() => {
+    const entries = await generate([await protectedPost('locked/', { format: 1 })], [
+      { title: 'Locked', url: '/locked/', content: SOURCE, tags: [] },
+      { title: 'Open', url: '/open/', content: 'open text', tags: [] }
+    ]);
+
+    assert.strictEqual(entries[0].content, '');
+    assert.strictEqual(await hbe.decrypt(chunkPayload(entries[0].encrypted), 'secret'), SOURCE);
+    assert.deepStrictEqual(entries[1], { title: 'Open', url: '/open/', content: 'open text', tags: [] });
+  });
+
+  it('keys format 2 chunks like their page and keeps the key group', async() => {
+    const post = await protectedPost('2025/01/01/加密/', { format: 2, salt: SALT, keyGroup: 'Private' });
+    const entries = await generate([post], [{ title: 'Locked', url: '/2025/01/01/加密/', content: SOURCE }]);
+
+    const page = hbe.readPage(post.content);
+    const chunk = entries[0].encrypted;
+    assert.deepStrictEqual(
+      { version: chunk.version, kdf: chunk.kdf, iterations: chunk.iterations, salt: chunk.salt, keyGroup: chunk.keyGroup },
+      { version: 2, kdf: 'pbkdf2-sha256', iterations: page.format.iterations, salt: SALT, keyGroup: 'Private' }
+    );
+    assert.strictEqual(await hbe.decrypt(chunkPayload(chunk), 'secret'), SOURCE);
+  });
+
+  it('still drops the content of a protected post that was not encrypted', async() => {
+    const post = { path: 'locked/', password: 'secret', content: '<p>plain</p>', _content: SOURCE };
+    const entries = await generate([post], [{ title: 'Locked', url: '/locked/', content: SOURCE }]);
+    assert.deepStrictEqual(entries[0], { title: 'Locked', url: '/locked/', content: '', encrypted: {} });
+  });
+});